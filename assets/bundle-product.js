@@ -1,227 +1,689 @@
-(function () {
-  'use strict';
-
-  /**
-   * BundleProduct
-   *
-   * Handles per-component variant selection and multi-item cart add
-   * for the bundle-product section.
-   */
-  class BundleProduct {
-    /** @param {HTMLElement} el */
-    constructor(el) {
-      this.el = el;
-      this.addBtn = el.querySelector('[data-bundle-add]');
-      this.errorEl = el.querySelector('[data-bundle-error]');
-      this.componentCards = Array.from(el.querySelectorAll('[data-bundle-component]'));
-
-      /** @type {Array<{ title: string, variants: object[], selectedOptions: (string|null)[], selectedVariantId: number|null }>} */
-      this.state = this.componentCards.map((card) => {
-        const raw = card.querySelector('[data-variants-json]');
-        let variants = [];
-        try {
-          variants = raw ? JSON.parse(raw.textContent) : [];
-        } catch (_) {}
-
-        const optionGroupCount = card.querySelectorAll('[data-option-group]').length;
-
-        return {
-          title: card.dataset.componentTitle || '',
-          variants,
-          selectedOptions: new Array(optionGroupCount).fill(null),
-          selectedVariantId: null,
-        };
-      });
+import { formatCurrency } from '@theme/utilities';
+import { cartService } from '@theme/cart-service';
+
+/**
+ * @typedef {import('./cart-service').CartItemInput} CartItemInput
+ */
+
+/**
+ * @typedef {object} BundleVariant
+ * @property {number} id - The variant ID
+ * @property {string} title - The variant title
+ * @property {number} price - The price in cents
+ * @property {number | null} compare_at_price - The compare-at price in cents
+ * @property {boolean} available - Whether the variant can be bought
+ * @property {string[]} options - The option values, in the order of the option groups
+ * @property {{ src: string } | null} featured_image - The variant image
+ */
+
+/**
+ * @typedef {object} ComponentConfig
+ * @property {boolean} [optional] - Whether the component is an add-on the shopper can leave out of the bundle
+ * @property {number} [min] - The minimum quantity
+ * @property {number} [max] - The maximum quantity
+ * @property {number} [quantity] - The starting quantity
+ */
+
+/**
+ * @typedef {object} ComponentState
+ * @property {string} title - The component title
+ * @property {BundleVariant[]} variants - The component's variants
+ * @property {(string | null)[]} selectedOptions - The selected value of each option group
+ * @property {number | null} selectedVariantId - The selected available variant, or null
+ * @property {boolean} optional - Whether the component is an optional add-on
+ * @property {boolean} included - Whether the component is in the bundle
+ * @property {number} min - The minimum quantity
+ * @property {number} max - The maximum quantity
+ * @property {number} quantity - The quantity
+ */
+
+/**
+ * @typedef {object} PricingLine
+ * @property {string} title - The component title
+ * @property {number} quantity - The component quantity
+ * @property {boolean} optional - Whether the component is an optional add-on
+ * @property {BundleVariant | null} variant - The selected variant, or null until one is selected
+ */
+
+/**
+ * BundleProduct
+ *
+ * Handles per-component variant selection and multi-item cart add
+ * for the bundle-product section.
+ */
+class BundleProduct {
+  /** URL param holding the selected variant of each component, used to reopen a bundle from the cart */
+  static itemsParam = 'bundle_items';
+
+  /** @param {HTMLElement} el */
+  constructor(el) {
+    this.el = el;
+    /** @type {HTMLButtonElement | null} */
+    this.addBtn = el.querySelector('button[data-bundle-add]');
+    /** @type {HTMLElement | null} */
+    this.errorEl = el.querySelector('[data-bundle-error]');
+    this.componentCards = /** @type {HTMLElement[]} */ (Array.from(el.querySelectorAll('[data-bundle-component]')));
+    this.summaryEl = el.querySelector('[data-bundle-summary]');
+
+    const moneyFormatEl = el.querySelector('[data-money-format]');
+    this.moneyFormat =
+      (moneyFormatEl instanceof HTMLTemplateElement && moneyFormatEl.content.textContent.trim()) || '{{amount}}';
+
+    const translationsEl = el.querySelector('[data-translations]');
+    /** @type {Record<string, string>} */
+    this.translations = {};
+    try {
+      this.translations = translationsEl?.textContent ? JSON.parse(translationsEl.textContent) : {};
+    } catch (_) {}
+
+    /** @type {ComponentState[]} */
+    this.state = this.componentCards.map((card) => {
+      const raw = card.querySelector('[data-variants-json]');
+      /** @type {BundleVariant[]} */
+      let variants = [];
+      try {
+        variants = raw?.textContent ? JSON.parse(raw.textContent) : [];
+      } catch (_) {}
 
-      this.#bindEvents();
-      this.#markUnavailableOptions();
-    }
+      const rawConfig = card.querySelector('[data-component-config]');
+      /** @type {ComponentConfig} */
+      let config = {};
+      try {
+        config = rawConfig ? JSON.parse(rawConfig.textContent) : {};
+      } catch (_) {}
+
+      const optionGroupCount = card.querySelectorAll('[data-option-group]').length;
+      const min = Math.max(1, Math.floor(Number(config.min)) || 1);
+      const max = Math.max(min, Math.floor(Number(config.max)) || min);
+
+      return {
+        title: card.dataset.componentTitle || '',
+        variants,
+        selectedOptions: new Array(optionGroupCount).fill(null),
+        selectedVariantId: null,
+        // Optional add-ons start out of the bundle; required components are always in it
+        optional: config.optional === true,
+        included: config.optional !== true,
+        min,
+        max,
+        quantity: Math.min(max, Math.max(min, Math.floor(Number(config.quantity)) || min)),
+      };
+    });
+
+    this.#bindEvents();
+    this.#selectDefaultVariants();
+    this.#restoreFromUrl();
+    this.state.forEach((_, componentIndex) => this.#renderQuantity(componentIndex));
+    this.#renderSummary();
+  }
 
-    #bindEvents() {
-      this.componentCards.forEach((card, componentIndex) => {
-        card.querySelectorAll('[data-option-btn]').forEach((btn) => {
-          btn.addEventListener('click', () => {
-            const optionIndex = parseInt(btn.dataset.optionIndex, 10);
-            const value = btn.dataset.value;
-            this.#onOptionSelect(componentIndex, optionIndex, value, btn);
-          });
-        });
-      });
+  /**
+   * Preselect each component's first available variant, so a complete bundle is ready to add.
+   */
+  #selectDefaultVariants() {
+    this.state.forEach((compState, componentIndex) => {
+      const variant = compState.variants.find((v) => v.available);
+      if (variant) this.#selectVariant(componentIndex, variant);
+      else this.#renderOptions(componentIndex);
+    });
+  }
 
-      this.addBtn && this.addBtn.addEventListener('click', () => this.#addToCart());
-    }
+  /**
+   * Preselect each component's variant and quantity from the URL, e.g. when editing a bundle from the cart.
+   * Entries are `variantId:quantity` per component; an empty entry is an optional add-on left out.
+   */
+  #restoreFromUrl() {
+    const param = new URLSearchParams(window.location.search).get(BundleProduct.itemsParam);
+    if (!param) return;
+
+    param.split(',').forEach((entry, componentIndex) => {
+      const compState = this.state[componentIndex];
+      if (!compState) return;
+
+      const [variantId, quantity] = entry.split(':');
+      if (compState.optional) compState.included = Boolean(variantId);
+      if (quantity) compState.quantity = this.#clampQuantity(compState, parseInt(quantity, 10));
+
+      const variant = compState.variants.find((v) => String(v.id) === variantId);
+      if (variant && variant.available) this.#selectVariant(componentIndex, variant);
+    });
+  }
 
-    /**
-     * Mark option buttons unavailable based on which variants exist.
-     */
-    #markUnavailableOptions() {
-      this.componentCards.forEach((card, componentIndex) => {
-        const { variants } = this.state[componentIndex];
-        const optionGroups = Array.from(card.querySelectorAll('[data-option-group]'));
-
-        optionGroups.forEach((group, optionIndex) => {
-          group.querySelectorAll('[data-option-btn]').forEach((btn) => {
-            const value = btn.dataset.value;
-            const hasAvailableVariant = variants.some((v) => {
-              return v['option' + (optionIndex + 1)] === value && v.available;
-            });
-            btn.classList.toggle('is-unavailable', !hasAvailableVariant);
-          });
+  /**
+   * Select all option values of a variant at once.
+   * @param {number} componentIndex
+   * @param {BundleVariant} variant
+   */
+  #selectVariant(componentIndex, variant) {
+    const compState = this.state[componentIndex];
+    if (!compState) return;
+
+    compState.selectedOptions = compState.selectedOptions.map((_, i) => variant.options[i] ?? null);
+
+    this.#renderOptions(componentIndex);
+    this.#resolveVariant(componentIndex);
+    this.#renderSummary();
+  }
+
+  /**
+   * URL of this page that reopens the bundle with the current selections.
+   * @returns {string}
+   */
+  #getBundleUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set(
+      BundleProduct.itemsParam,
+      this.state.map((s) => (s.included ? `${s.selectedVariantId}:${s.quantity}` : '')).join(',')
+    );
+    return url.toString();
+  }
+
+  #bindEvents() {
+    this.componentCards.forEach((card, componentIndex) => {
+      card.querySelectorAll('[data-option-btn]').forEach((btn) => {
+        if (!(btn instanceof HTMLElement)) return;
+
+        btn.addEventListener('click', () => {
+          const optionIndex = parseInt(btn.dataset.optionIndex ?? '', 10);
+          const value = btn.dataset.value ?? '';
+          this.#onOptionSelect(componentIndex, optionIndex, value, btn);
         });
       });
-    }
+    });
 
-    /**
-     * @param {number} componentIndex
-     * @param {number} optionIndex
-     * @param {string} value
-     * @param {HTMLElement} btn
-     */
-    #onOptionSelect(componentIndex, optionIndex, value, btn) {
-      const card = this.componentCards[componentIndex];
+    this.componentCards.forEach((card, componentIndex) => {
       const compState = this.state[componentIndex];
+      if (!compState) return;
+
+      const includeInput = card.querySelector('[data-component-include]');
+      if (includeInput instanceof HTMLInputElement) {
+        includeInput.addEventListener('change', () => this.#setIncluded(componentIndex, includeInput.checked));
+      }
+
+      const quantityInput = card.querySelector('[data-quantity-input]');
+      card.querySelector('[data-quantity-minus]')?.addEventListener('click', () => {
+        this.#setQuantity(componentIndex, compState.quantity - 1);
+      });
+      card.querySelector('[data-quantity-plus]')?.addEventListener('click', () => {
+        this.#setQuantity(componentIndex, compState.quantity + 1);
+      });
+      if (quantityInput instanceof HTMLInputElement) {
+        quantityInput.addEventListener('change', () => {
+          this.#setQuantity(componentIndex, parseInt(quantityInput.value, 10));
+        });
+      }
+    });
+
+    this.addBtn && this.addBtn.addEventListener('click', (event) => this.#addToCart(event));
+  }
+
+  /**
+   * Keep a quantity within the component's min/max limits.
+   * @param {ComponentState} compState
+   * @param {number} quantity
+   * @returns {number}
+   */
+  #clampQuantity(compState, quantity) {
+    if (Number.isNaN(quantity)) return compState.quantity;
+    return Math.min(compState.max, Math.max(compState.min, quantity));
+  }
+
+  /**
+   * @param {number} componentIndex
+   * @param {number} quantity
+   */
+  #setQuantity(componentIndex, quantity) {
+    const compState = this.state[componentIndex];
+    if (!compState) return;
+
+    compState.quantity = this.#clampQuantity(compState, quantity);
+
+    // Changing the quantity of an optional add-on implies the shopper wants it
+    if (compState.optional && !compState.included) compState.included = true;
+
+    this.#renderQuantity(componentIndex);
+    this.#renderSummary();
+  }
+
+  /**
+   * @param {number} componentIndex
+   * @param {boolean} included
+   */
+  #setIncluded(componentIndex, included) {
+    const compState = this.state[componentIndex];
+    if (!compState?.optional) return;
+
+    compState.included = included;
+    this.#hideError();
+    this.#renderQuantity(componentIndex);
+    this.#renderSummary();
+  }
+
+  /**
+   * Sync the stepper, include toggle and excluded styling with the state.
+   * @param {number} componentIndex
+   */
+  #renderQuantity(componentIndex) {
+    const card = this.componentCards[componentIndex];
+    const compState = this.state[componentIndex];
+    if (!card || !compState) return;
+
+    const { optional, included, min, max, quantity } = compState;
+
+    card.classList.toggle('is-excluded', optional && !included);
+
+    const includeInput = card.querySelector('[data-component-include]');
+    if (includeInput instanceof HTMLInputElement) includeInput.checked = included;
+
+    const quantityInput = card.querySelector('[data-quantity-input]');
+    if (quantityInput instanceof HTMLInputElement) quantityInput.value = String(quantity);
+
+    const minusBtn = card.querySelector('[data-quantity-minus]');
+    if (minusBtn instanceof HTMLButtonElement) minusBtn.disabled = quantity <= min;
+
+    const plusBtn = card.querySelector('[data-quantity-plus]');
+    if (plusBtn instanceof HTMLButtonElement) plusBtn.disabled = quantity >= max;
+  }
+
+  /**
+   * Values of an option group that have an available variant, given the
+   * selections in the groups before it — the same cascade as the product page.
+   * @param {number} componentIndex
+   * @param {number} optionIndex
+   * @returns {Set<string>}
+   */
+  #getAvailableValues(componentIndex, optionIndex) {
+    const compState = this.state[componentIndex];
+    if (!compState) return new Set();
+
+    const { variants, selectedOptions } = compState;
+    const previousOptions = selectedOptions.slice(0, optionIndex);
+
+    return new Set(
+      variants
+        .filter((v) => v.available && previousOptions.every((val, i) => val === null || v.options[i] === val))
+        .flatMap((v) => v.options[optionIndex] ?? [])
+    );
+  }
+
+  /**
+   * Mark option buttons active or unavailable, and update the selected labels.
+   * @param {number} componentIndex
+   */
+  #renderOptions(componentIndex) {
+    const card = this.componentCards[componentIndex];
+    const compState = this.state[componentIndex];
+    if (!card || !compState) return;
 
-      // Skip unavailable options
-      if (btn.classList.contains('is-unavailable')) return;
+    const { selectedOptions } = compState;
 
-      // Update active button in this option group
-      card
-        .querySelectorAll(`[data-option-group="${optionIndex}"] [data-option-btn]`)
-        .forEach((b) => b.classList.remove('is-active'));
-      btn.classList.add('is-active');
+    card.querySelectorAll('[data-option-group]').forEach((group, optionIndex) => {
+      const availableValues = this.#getAvailableValues(componentIndex, optionIndex);
+
+      group.querySelectorAll('[data-option-btn]').forEach((btn) => {
+        if (!(btn instanceof HTMLElement)) return;
+
+        const isActive = btn.dataset.value === selectedOptions[optionIndex];
+        btn.classList.toggle('is-active', isActive);
+        btn.classList.toggle('is-unavailable', !availableValues.has(btn.dataset.value ?? ''));
+        btn.setAttribute('aria-pressed', String(isActive));
+      });
 
-      // Update selected label
       const labelEl = card.querySelector(`[data-selected-label-${optionIndex}]`);
-      if (labelEl) labelEl.textContent = value;
+      if (labelEl) labelEl.textContent = selectedOptions[optionIndex] ?? '';
+    });
+  }
+
+  /**
+   * After a selection changes, move any later selection that no longer has an
+   * available variant to the first value that does.
+   * @param {number} componentIndex
+   * @param {number} changedIndex
+   */
+  #cascadeSelections(componentIndex, changedIndex) {
+    const card = this.componentCards[componentIndex];
+    const compState = this.state[componentIndex];
+    if (!card || !compState) return;
+
+    const { selectedOptions } = compState;
+
+    for (let optionIndex = changedIndex + 1; optionIndex < selectedOptions.length; optionIndex++) {
+      const availableValues = this.#getAvailableValues(componentIndex, optionIndex);
+      const selectedValue = selectedOptions[optionIndex];
+      if (selectedValue != null && availableValues.has(selectedValue)) continue;
 
-      // Update state
-      compState.selectedOptions[optionIndex] = value;
+      // Follow the button order so the first visible available value wins
+      const buttons = /** @type {HTMLElement[]} */ (
+        Array.from(card.querySelectorAll(`[data-option-group="${optionIndex}"] [data-option-btn]`))
+      );
+      const firstAvailable = buttons.find((b) => availableValues.has(b.dataset.value ?? ''));
 
-      // Resolve variant
-      this.#resolveVariant(componentIndex);
+      selectedOptions[optionIndex] = firstAvailable?.dataset.value ?? null;
     }
+  }
 
-    /** @param {number} componentIndex */
-    #resolveVariant(componentIndex) {
-      const card = this.componentCards[componentIndex];
-      const compState = this.state[componentIndex];
-      const { variants, selectedOptions } = compState;
+  /**
+   * @param {number} componentIndex
+   * @param {number} optionIndex
+   * @param {string} value
+   * @param {HTMLElement} btn
+   */
+  #onOptionSelect(componentIndex, optionIndex, value, btn) {
+    const compState = this.state[componentIndex];
 
-      // Need all options selected
-      if (selectedOptions.some((o) => o === null)) {
-        compState.selectedVariantId = null;
-        return;
-      }
+    // Skip unavailable options
+    if (!compState || btn.classList.contains('is-unavailable')) return;
+
+    // Picking options for an add-on implies the shopper wants it
+    if (compState.optional && !compState.included) {
+      compState.included = true;
+      this.#renderQuantity(componentIndex);
+    }
+
+    // Update state, then re-resolve the groups that depend on this one
+    compState.selectedOptions[optionIndex] = value;
+    this.#cascadeSelections(componentIndex, optionIndex);
+    this.#renderOptions(componentIndex);
 
-      const match = variants.find((v) =>
-        selectedOptions.every((val, i) => v['option' + (i + 1)] === val)
+    // Resolve variant
+    this.#resolveVariant(componentIndex);
+    this.#renderSummary();
+  }
+
+  /**
+   * Totals for the current selections, in cents.
+   * `total` is what the bundle costs; `discount` is taken off the component prices
+   * and `savings` is measured against the compare-at prices.
+   * The bundle discount only comes off when a discount code applies it in the cart; without one the cart charges
+   * the component prices, so those are what the total shows.
+   * @returns {{ lines: PricingLine[],
+   *   subtotal: number, compareTotal: number,
+   *   total: number, discount: number, savings: number, complete: boolean }}
+   */
+  #getPricing() {
+    const lines = this.state
+      .filter((s) => s.included)
+      .map((s) => ({
+        title: s.title,
+        quantity: s.quantity,
+        optional: s.optional,
+        variant: s.variants.find((v) => v.id === s.selectedVariantId) || null,
+      }));
+    const selected = lines.flatMap(({ variant, ...line }) => (variant ? [{ ...line, variant }] : []));
+    const complete = selected.length === lines.length;
+
+    /** @param {Array<{ quantity: number, variant: BundleVariant }>} selectedLines */
+    const sumPrices = (selectedLines) =>
+      selectedLines.reduce((sum, { variant, quantity }) => sum + variant.price * quantity, 0);
+
+    const subtotal = sumPrices(selected);
+    const compareTotal = selected.reduce(
+      (sum, { variant, quantity }) => sum + Math.max(variant.compare_at_price || 0, variant.price) * quantity,
+      0
+    );
+
+    const { bundlePricing, bundlePrice, bundleDiscountPercent, bundleDiscountCode } = this.el.dataset;
+    const pricing = bundleDiscountCode ? bundlePricing : 'components';
+    let total = subtotal;
+
+    if (pricing === 'percentage') {
+      total = subtotal - Math.round((subtotal * (parseFloat(bundleDiscountPercent ?? '') || 0)) / 100);
+    } else if (pricing === 'product' && complete) {
+      // The bundle product's own price covers the required components; add-ons are charged on top
+      const requiredSubtotal = sumPrices(selected.filter((line) => !line.optional));
+      const addOnSubtotal = subtotal - requiredSubtotal;
+      total = Math.min(parseInt(bundlePrice ?? '', 10) || requiredSubtotal, requiredSubtotal) + addOnSubtotal;
+    }
+
+    return {
+      lines,
+      subtotal,
+      compareTotal,
+      total,
+      discount: subtotal - total,
+      savings: compareTotal - total,
+      complete,
+    };
+  }
+
+  /**
+   * Render each component's price and the bundle totals.
+   */
+  #renderSummary() {
+    if (!this.summaryEl) return;
+
+    const pricing = this.#getPricing();
+    const linesEl = this.summaryEl.querySelector('[data-summary-lines]');
+
+    if (linesEl) {
+      linesEl.replaceChildren(
+        ...pricing.lines.map(({ title, quantity, variant }) => {
+          const li = document.createElement('li');
+          li.className = 'bundle-product__summary-line';
+
+          const name = document.createElement('span');
+          name.textContent = quantity > 1 ? `${quantity} × ${title}` : title;
+
+          if (variant && variant.title !== 'Default Title') {
+            const variantTitle = document.createElement('span');
+            variantTitle.className = 'bundle-product__summary-line-variant';
+            variantTitle.textContent = ' — ' + variant.title;
+            name.append(variantTitle);
+          }
+
+          const price = document.createElement('span');
+
+          if (!variant) {
+            li.classList.add('bundle-product__summary-line--pending');
+            price.textContent = this.#t('select_options');
+          } else {
+            const compareAtPrice = variant.compare_at_price ?? 0;
+
+            if (compareAtPrice > variant.price) {
+              const compare = document.createElement('s');
+              compare.textContent = this.#formatMoney(compareAtPrice * quantity);
+              price.append(compare);
+            }
+            price.append(this.#formatMoney(variant.price * quantity));
+          }
+
+          li.append(name, price);
+          return li;
+        })
       );
+    }
 
-      const statusEl = card.querySelector('[data-component-status]');
+    const { compareTotal, discount, savings } = pricing;
+    this.#setSummaryRow('[data-summary-compare]', '[data-summary-compare-total]', compareTotal, savings > 0);
+    this.#setSummaryRow('[data-summary-discount]', '[data-summary-discount-amount]', -discount, discount > 0);
 
-      if (!match) {
-        compState.selectedVariantId = null;
-        if (statusEl) {
-          statusEl.textContent = 'This combination is unavailable';
-          statusEl.dataset.state = 'error';
-        }
-        return;
-      }
+    const totalEl = this.summaryEl.querySelector('[data-summary-total]');
+    if (totalEl) totalEl.textContent = this.#formatMoney(pricing.total);
 
-      if (!match.available) {
-        compState.selectedVariantId = null;
-        if (statusEl) {
-          statusEl.textContent = 'Out of stock';
-          statusEl.dataset.state = 'unavailable';
-        }
-        return;
-      }
+    const savingsEl = this.summaryEl.querySelector('[data-summary-savings]');
+    if (savingsEl instanceof HTMLElement) {
+      savingsEl.hidden = pricing.savings <= 0;
+      savingsEl.textContent =
+        pricing.savings > 0 ? this.#t('you_save', { amount: this.#formatMoney(pricing.savings) }) : '';
+    }
+  }
+
+  /**
+   * @param {string} rowSelector
+   * @param {string} valueSelector
+   * @param {number} cents
+   * @param {boolean} visible
+   */
+  #setSummaryRow(rowSelector, valueSelector, cents, visible) {
+    const row = this.summaryEl?.querySelector(rowSelector);
+    if (!(row instanceof HTMLElement)) return;
 
-      compState.selectedVariantId = match.id;
+    row.hidden = !visible;
 
-      if (statusEl) {
-        statusEl.textContent = selectedOptions.join(' / ');
-        statusEl.dataset.state = 'available';
+    const valueEl = row.querySelector(valueSelector);
+    if (valueEl) valueEl.textContent = cents < 0 ? '−' + this.#formatMoney(-cents) : this.#formatMoney(cents);
+  }
+
+  /**
+   * Translate a key, e.g. `this.#t('you_save', { amount })`.
+   * @param {string} key
+   * @param {Record<string, string>} [variables]
+   * @returns {string}
+   */
+  #t(key, variables = {}) {
+    return (this.translations[key] ?? key).replace(/{{\s*(\w+)\s*}}/g, (match, name) => variables[name] ?? match);
+  }
+
+  /**
+   * Format cents with the shop's money format.
+   * @param {number} cents
+   * @returns {string}
+   */
+  #formatMoney(cents) {
+    return formatCurrency(cents, this.moneyFormat, this.el.dataset.currency);
+  }
+
+  /** @param {number} componentIndex */
+  #resolveVariant(componentIndex) {
+    const card = this.componentCards[componentIndex];
+    const compState = this.state[componentIndex];
+    if (!card || !compState) return;
+
+    const { variants, selectedOptions } = compState;
+
+    // Need all options selected
+    if (selectedOptions.some((o) => o === null)) {
+      compState.selectedVariantId = null;
+      return;
+    }
+
+    const match = variants.find((v) => selectedOptions.every((val, i) => v.options[i] === val));
+
+    const statusEl = card.querySelector('[data-component-status]');
+
+    if (!match) {
+      compState.selectedVariantId = null;
+      if (statusEl instanceof HTMLElement) {
+        statusEl.textContent = this.#t('combination_unavailable');
+        statusEl.dataset.state = 'error';
       }
+      return;
+    }
 
-      // Swap component image to variant image if one exists
-      if (match.featured_image) {
-        const imgEl = card.querySelector('[data-component-image]');
-        if (imgEl) {
-          const src = match.featured_image.src;
-          // Use a reasonably sized version
-          imgEl.src = src.includes('?')
-            ? src + '&width=600'
-            : src + '?width=600';
-        }
+    if (!match.available) {
+      compState.selectedVariantId = null;
+      if (statusEl instanceof HTMLElement) {
+        statusEl.textContent = this.#t('out_of_stock');
+        statusEl.dataset.state = 'unavailable';
       }
+      return;
     }
 
-    async #addToCart() {
-      this.#hideError();
-
-      // Validate: all components must have a selected available variant
-      const incomplete = this.state.filter((s) => s.selectedVariantId === null);
-      if (incomplete.length > 0) {
-        const names = incomplete.map((s) => s.title).join(', ');
-        this.#showError(
-          'Please select all options for: ' + names
-        );
-        return;
+    compState.selectedVariantId = match.id;
+
+    if (statusEl instanceof HTMLElement) {
+      statusEl.textContent = selectedOptions.join(' / ');
+      statusEl.dataset.state = 'available';
+    }
+
+    // Swap component image to variant image if one exists
+    if (match.featured_image) {
+      const imgEl = card.querySelector('[data-component-image]');
+      if (imgEl instanceof HTMLImageElement) {
+        const src = match.featured_image.src;
+        // Use a reasonably sized version
+        imgEl.src = src.includes('?')
+          ? src + '&width=600'
+          : src + '?width=600';
       }
+    }
+  }
 
-      const items = this.state.map((s) => ({ id: s.selectedVariantId, quantity: 1 }));
+  /** @param {MouseEvent} event */
+  async #addToCart(event) {
+    this.#hideError();
 
-      this.addBtn.disabled = true;
-      const originalLabel = this.addBtn.textContent;
-      this.addBtn.textContent = 'Adding…';
+    // Validate: required components and included add-ons must have a selected available variant
+    const incomplete = this.state.filter((s) => s.included && s.selectedVariantId === null);
+    const incompleteRequired = incomplete.filter((s) => !s.optional);
+    const incompleteOptional = incomplete.filter((s) => s.optional);
 
-      try {
-        const addRes = await fetch('/cart/add.js', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
-          body: JSON.stringify({ items }),
-        });
+    if (incompleteRequired.length > 0) {
+      const names = incompleteRequired.map((s) => s.title).join(', ');
+      this.#showError(this.#t('required_incomplete', { items: names }));
+      return;
+    }
 
-        if (!addRes.ok) {
-          const data = await addRes.json().catch(() => ({}));
-          throw new Error(data.description || 'Could not add to cart. Please try again.');
-        }
-
-        const cart = await fetch('/cart.js', {
-          headers: { Accept: 'application/json' },
-        }).then((r) => r.json());
-
-        // Trigger the cart drawer / cart icon update (same event as system-builder.js)
-        document.dispatchEvent(
-          new CustomEvent('cart:update', {
-            bubbles: true,
-            detail: { resource: cart },
-          })
-        );
-      } catch (err) {
-        this.#showError(err.message || 'Something went wrong. Please try again.');
-      } finally {
-        this.addBtn.disabled = false;
-        this.addBtn.textContent = originalLabel;
-      }
+    if (incompleteOptional.length > 0) {
+      const names = incompleteOptional.map((s) => s.title).join(', ');
+      this.#showError(this.#t('optional_incomplete', { items: names }));
+      return;
     }
 
-    /** @param {string} msg */
-    #showError(msg) {
-      if (!this.errorEl) return;
-      this.errorEl.textContent = msg;
-      this.errorEl.style.display = 'block';
+    /** @type {CartItemInput[]} */
+    const items = this.state.flatMap((s) =>
+      s.included && s.selectedVariantId !== null ? [{ id: s.selectedVariantId, quantity: s.quantity }] : []
+    );
+
+    if (items.length === 0) {
+      this.#showError(this.#t('empty'));
+      return;
     }
 
-    #hideError() {
-      if (!this.errorEl) return;
-      this.errorEl.style.display = 'none';
+    if (!this.addBtn) return;
+
+    this.addBtn.disabled = true;
+    const originalLabel = this.addBtn.textContent;
+    this.addBtn.textContent = this.#t('adding');
+
+    // Fly the first component image to the cart, like product forms do
+    const image = this.el.querySelector('[data-component-image]');
+
+    try {
+      const { added, rejected, replaceFailed } = await cartService.addItems(items, {
+        source: this.el,
+        sourceName: 'bundle-product',
+        flyToCart:
+          this.el.dataset.addToCartAnimation === 'true' && image instanceof HTMLImageElement
+            ? { from: this.addBtn, image: image.currentSrc || image.src }
+            : undefined,
+        discountCode: this.el.dataset.bundleDiscountCode || null,
+        // Group the components in the cart, and let "edit bundle" reopen this page prefilled
+        bundle: {
+          name: this.el.dataset.bundleName || '',
+          url: this.#getBundleUrl(),
+          replaces: cartService.getEditingBundleId(),
+        },
+        event,
+      });
+
+      if (added.length === 0) {
+        throw new Error(rejected[0]?.message || this.#t('add_error'));
+      }
+
+      if (replaceFailed) this.#showError(this.#t('replace_failed'));
+    } catch (err) {
+      this.#showError(err.message || this.#t('error'));
+    } finally {
+      this.addBtn.disabled = false;
+      this.addBtn.textContent = originalLabel;
     }
   }
 
-  document.addEventListener('DOMContentLoaded', () => {
-    const el = document.querySelector('[data-bundle-product]');
-    if (el) new BundleProduct(el);
-  });
-})();
+  /** @param {string} msg */
+  #showError(msg) {
+    if (!this.errorEl) return;
+    this.errorEl.textContent = msg;
+    this.errorEl.style.display = 'block';
+  }
+
+  #hideError() {
+    if (!this.errorEl) return;
+    this.errorEl.style.display = 'none';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const el = document.querySelector('[data-bundle-product]');
+  if (el instanceof HTMLElement) new BundleProduct(el);
+});
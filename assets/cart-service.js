@@ -0,0 +1,374 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartAddEvent, CartErrorEvent } from '@theme/events';
+import { cartPerformance } from '@theme/performance';
+
+/**
+ * @typedef {HTMLElement & {
+ *   source: Element,
+ *   destination: Element,
+ *   useSourceSize: string | boolean
+ * }} FlyToCart
+ */
+
+/**
+ * @typedef {object} CartItemInput
+ * @property {number | string} id - The variant ID
+ * @property {number} quantity - The quantity to add
+ * @property {Record<string, string>} [properties] - The line item properties
+ */
+
+/**
+ * @typedef {CartItemInput & { message: string }} RejectedCartItem
+ */
+
+/**
+ * @typedef {object} CartBundleInput
+ * @property {string} name - The name shown on the bundle's group in the cart
+ * @property {string} url - The configurator URL that reopens this bundle prefilled
+ * @property {string | null} [replaces] - The ID of a bundle in the cart that this add replaces, when editing
+ */
+
+/**
+ * @typedef {object} CartLineItem
+ * @property {string} key - The line item key
+ * @property {number} variant_id - The variant ID
+ * @property {number} quantity - The quantity in the cart
+ * @property {Record<string, string> | null} [properties] - The line item properties
+ */
+
+/**
+ * @typedef {object} CartResponse
+ * @property {CartLineItem[]} items - The line items
+ * @property {number} item_count - The total quantity of the line items
+ * @property {{ code: string }[]} [discount_codes] - The discount codes applied to the cart
+ * @property {Record<string, string>} [sections] - The rendered sections, when the request asked for them
+ */
+
+/**
+ * @typedef {object} CartAddResult
+ * @property {CartItemInput[]} added - The items that were added
+ * @property {RejectedCartItem[]} rejected - The items that were rejected, with the reason from the server
+ * @property {CartResponse | null} cart - The updated cart, or null when nothing was added or it couldn't be fetched
+ * @property {boolean} replaceFailed - Whether the bundle being edited couldn't be removed, so the cart holds both the
+ *   old and the new bundle
+ */
+
+/**
+ * A class to add items to the cart outside of a product form.
+ * Results are announced with the theme's cart events, so the cart drawer, cart icon and
+ * cart items sections react the same way they do for product-form.js.
+ */
+class CartService {
+  /**
+   * The line item properties that tie the lines of a bundle together.
+   * They start with an underscore so they stay hidden in the cart and at checkout.
+   */
+  static bundleProperties = {
+    id: '_bundle_id',
+    name: '_bundle_name',
+    url: '_bundle_url',
+  };
+
+  /**
+   * The URL param the cart's "edit bundle" link adds to the bundle URL
+   */
+  static editBundleParam = 'edit_bundle';
+
+  /**
+   * Gets the section IDs of the cart items components on the page
+   * @returns {string[]} The section IDs to render with the cart response
+   */
+  getSectionIds() {
+    /** @type {string[]} */
+    const sectionIds = [];
+
+    document.querySelectorAll('cart-items-component').forEach((element) => {
+      if (element instanceof HTMLElement && element.dataset.sectionId) {
+        sectionIds.push(element.dataset.sectionId);
+      }
+    });
+
+    return sectionIds;
+  }
+
+  /**
+   * Fetches the current cart
+   * @returns {Promise<CartResponse>} The cart
+   */
+  async getCart() {
+    const response = await fetch(`${Theme.routes.cart_url}.js`, {
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!response.ok) throw new Error('Could not fetch cart');
+
+    return response.json();
+  }
+
+  /**
+   * Adds items to the cart
+   * @param {CartItemInput[]} items - The items to add
+   * @param {Object} options - The options
+   * @param {HTMLElement} options.source - The element the add was triggered from, cart events are dispatched from it
+   * @param {string} options.sourceName - The source reported in the cart event data, e.g. 'system-builder'
+   * @param {boolean} [options.allowPartial] - Whether to retry one item at a time when the batch is rejected
+   * @param {string | null | ((added: CartItemInput[]) => string | null | undefined)} [options.discountCode] - A discount
+   *   code to apply once the items are added, or a function that picks one based on the items that were added
+   * @param {{ from: Element, image: string }} [options.flyToCart] - Animates an image from an element to the cart icon
+   * @param {CartBundleInput} [options.bundle] - Tags the items as one bundle, which the cart shows as a single group
+   * @param {Event} [options.event] - The user event that triggered the add, for performance measurement
+   * @returns {Promise<CartAddResult>} The added and rejected items and the updated cart
+   */
+  async addItems(items, { source, sourceName, allowPartial = false, discountCode = null, flyToCart, bundle, event }) {
+    const sectionIds = this.getSectionIds();
+
+    if (bundle) items = this.#tagBundle(items, bundle);
+
+    /** @type {CartItemInput[]} */
+    let added = [];
+    /** @type {RejectedCartItem[]} */
+    let rejected = [];
+    /** @type {Record<string, string>} */
+    let sections = {};
+
+    try {
+      const batch = await this.#post(items, sectionIds);
+
+      if (batch.ok) {
+        added = items;
+        sections = batch.data.sections ?? {};
+      } else if (allowPartial && items.length > 1) {
+        // Retry item by item so the caller learns exactly which items were rejected
+        for (const item of items) {
+          const result = await this.#post([item], sectionIds);
+
+          if (result.ok) {
+            added.push(item);
+            sections = result.data.sections ?? sections;
+          } else {
+            rejected.push({ ...item, message: this.#getErrorMessage(result.data) });
+          }
+        }
+      } else {
+        rejected = items.map((item) => ({ ...item, message: this.#getErrorMessage(batch.data) }));
+      }
+
+      if (added.length === 0) {
+        const { data } = batch;
+        source.dispatchEvent(new CartErrorEvent(source.id, data.message, data.description, data.errors));
+
+        return { added, rejected, cart: null, replaceFailed: false };
+      }
+
+      // The items are in the cart now, so nothing from here on may report the add as failed.
+      // Only replace the bundle being edited when the whole new bundle made it in.
+      let replaceFailed = false;
+
+      if (bundle?.replaces && rejected.length === 0) {
+        try {
+          const replacedCart = await this.removeBundle(bundle.replaces, sectionIds);
+          if (replacedCart) sections = replacedCart.sections ?? sections;
+
+          this.#clearEditingBundleId();
+        } catch (error) {
+          console.warn('Could not remove the bundle being edited', error);
+          replaceFailed = true;
+        }
+      }
+
+      /** @type {CartResponse | null} */
+      let cart = null;
+
+      try {
+        cart = await this.getCart();
+
+        const code = typeof discountCode === 'function' ? discountCode(added) : discountCode;
+
+        if (code) {
+          const discountedCart = await this.#applyDiscount(cart, code, sectionIds);
+
+          if (discountedCart) {
+            cart = discountedCart;
+            sections = discountedCart.sections ?? sections;
+          }
+        }
+      } catch (error) {
+        console.warn('Could not fetch the cart after adding items', error);
+      }
+
+      if (flyToCart) this.#animateFlyToCart(flyToCart);
+
+      // Without the cart the sections from the add response still refresh the cart items
+      source.dispatchEvent(
+        new CartAddEvent(cart ?? {}, source.id, {
+          source: sourceName,
+          ...(cart && { itemCount: cart.item_count }),
+          sections,
+        })
+      );
+
+      return { added, rejected, cart, replaceFailed };
+    } finally {
+      if (event) cartPerformance.measureFromEvent('add:user-action', event);
+    }
+  }
+
+  /**
+   * Removes every line of a bundle from the cart
+   * @param {string} bundleId - The bundle ID
+   * @param {string[]} [sectionIds] - The sections to render with the response
+   * @returns {Promise<CartResponse | null>} The updated cart with rendered sections, or null if the bundle isn't in
+   *   the cart
+   */
+  async removeBundle(bundleId, sectionIds = []) {
+    const cart = await this.getCart();
+
+    /** @type {Record<string, number>} */
+    const updates = {};
+
+    for (const item of cart.items) {
+      if (item.properties?.[CartService.bundleProperties.id] === bundleId) {
+        updates[item.key] = 0;
+      }
+    }
+
+    if (Object.keys(updates).length === 0) return null;
+
+    const response = await fetch(
+      Theme.routes.cart_update_url,
+      fetchConfig('json', {
+        body: JSON.stringify({
+          updates,
+          ...(sectionIds.length > 0 && { sections: sectionIds.join(',') }),
+          sections_url: window.location.pathname,
+        }),
+      })
+    );
+
+    if (!response.ok) throw new Error('Could not remove bundle');
+
+    return response.json();
+  }
+
+  /**
+   * Gets the ID of the bundle being edited, from the URL the cart's "edit bundle" link opened
+   * @returns {string | null} The bundle ID
+   */
+  getEditingBundleId() {
+    return new URLSearchParams(window.location.search).get(CartService.editBundleParam);
+  }
+
+  /**
+   * Removes the edit param from the address bar once the edited bundle has been replaced
+   */
+  #clearEditingBundleId() {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(CartService.editBundleParam)) return;
+
+    url.searchParams.delete(CartService.editBundleParam);
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+
+  /**
+   * Adds the bundle line item properties to each item
+   * @param {CartItemInput[]} items - The items to add
+   * @param {CartBundleInput} bundle - The bundle
+   * @returns {CartItemInput[]} The tagged items
+   */
+  #tagBundle(items, { name, url }) {
+    const { bundleProperties, editBundleParam } = CartService;
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    // The edit link adds its own param, so don't store the one of the bundle being edited
+    const bundleUrl = new URL(url, window.location.origin);
+    bundleUrl.searchParams.delete(editBundleParam);
+    bundleUrl.hash = '';
+
+    return items.map((item) => ({
+      ...item,
+      properties: {
+        ...item.properties,
+        [bundleProperties.id]: id,
+        [bundleProperties.name]: name,
+        [bundleProperties.url]: `${bundleUrl.pathname}${bundleUrl.search}`,
+      },
+    }));
+  }
+
+  /**
+   * Posts items to the cart add endpoint
+   * @param {CartItemInput[]} items - The items to add
+   * @param {string[]} sectionIds - The sections to render with the response
+   * @returns {Promise<{ ok: boolean, data: any }>} Whether the request succeeded, and the response body
+   */
+  async #post(items, sectionIds) {
+    const body = JSON.stringify({
+      items,
+      ...(sectionIds.length > 0 && { sections: sectionIds.join(',') }),
+    });
+
+    const response = await fetch(Theme.routes.cart_add_url, fetchConfig('json', { body }));
+    const data = await response.json().catch(() => ({}));
+
+    return { ok: response.ok, data };
+  }
+
+  /**
+   * Applies a discount code on top of the cart's existing codes
+   * @param {CartResponse} cart - The current cart
+   * @param {string} discountCode - The discount code to apply
+   * @param {string[]} sectionIds - The sections to render with the response
+   * @returns {Promise<CartResponse | null>} The updated cart with rendered sections, or null if nothing changed
+   */
+  async #applyDiscount(cart, discountCode, sectionIds) {
+    const existingCodes = (cart.discount_codes ?? []).map((discount) => discount.code);
+    if (existingCodes.includes(discountCode)) return null;
+
+    try {
+      const response = await fetch(
+        Theme.routes.cart_update_url,
+        fetchConfig('json', {
+          body: JSON.stringify({
+            discount: [...existingCodes, discountCode].join(','),
+            sections: sectionIds,
+          }),
+        })
+      );
+
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.warn('Could not apply discount code', error);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the message from a cart error response
+   * @param {{ description?: string, message?: string }} data - The error response
+   * @returns {string} The message, or an empty string
+   */
+  #getErrorMessage(data) {
+    return data.description || data.message || '';
+  }
+
+  /**
+   * Animates an image flying to the cart icon
+   * @param {{ from: Element, image: string }} options - The element to start from and the image to show
+   */
+  #animateFlyToCart({ from, image }) {
+    const cartIcon = document.querySelector('.header-actions__cart-icon');
+    if (!cartIcon || !image) return;
+
+    const flyToCartElement = /** @type {FlyToCart} */ (document.createElement('fly-to-cart'));
+
+    flyToCartElement.classList.add('fly-to-cart--main');
+    flyToCartElement.style.setProperty('background-image', `url(${image})`);
+    flyToCartElement.style.setProperty('--start-opacity', '0');
+    flyToCartElement.source = from;
+    flyToCartElement.destination = cartIcon;
+
+    document.body.appendChild(flyToCartElement);
+  }
+}
+
+export const cartService = new CartService();
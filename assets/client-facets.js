@@ -0,0 +1,209 @@
+import { FilterUpdateEvent } from '@theme/events';
+
+/**
+ * A filter applied in the browser to the product cards on the page, for metafields that aren't set up as
+ * storefront filters.
+ *
+ * @typedef {object} ClientFacet
+ * @property {string} param - The URL param that holds the selected values.
+ * @property {string} attribute - The product card attribute that holds the product's value, e.g. `data-filter-group`.
+ * @property {string} label - The facet name shown in the active filter summary.
+ */
+
+/**
+ * Keeps the client facets in line with the storefront facets: their values live in the URL next to the
+ * `filter.*` params, they show up as pills in the active filter summary and they're removed the same way.
+ *
+ * Products are hidden through a generated stylesheet rather than per card, so cards rendered later by
+ * infinite scroll or a section render are filtered without anything having to run.
+ * Values of one facet are combined with OR, facets are combined with each other (and with the storefront
+ * facets, which the server applies) with AND.
+ */
+class ClientFacets {
+  /**
+   * The product cards the facets filter: only those of the results grid, marked with `data-client-facets-scope`,
+   * so other product grids on the page, e.g. recommendations, are left alone.
+   */
+  itemSelector = '[data-client-facets-scope] .product-grid__item';
+
+  /**
+   * The registered facets, keyed by URL param.
+   * @type {Map<string, ClientFacet>}
+   */
+  #facets = new Map();
+
+  /**
+   * The stylesheet that hides the products that don't match.
+   * @type {HTMLStyleElement | null}
+   */
+  #style = null;
+
+  constructor() {
+    window.addEventListener('popstate', () => this.render());
+  }
+
+  /**
+   * Registers a facet and applies its values from the URL.
+   * @param {ClientFacet} facet - The facet to register.
+   */
+  register(facet) {
+    this.#facets.set(facet.param, facet);
+    this.render();
+  }
+
+  /**
+   * Gets the selected values of a facet.
+   * @param {string} param - The URL param of the facet.
+   * @returns {string[]} The selected values.
+   */
+  getValues(param) {
+    return new URLSearchParams(window.location.search).getAll(param);
+  }
+
+  /**
+   * Gets the selected values of every registered facet, so they can be carried over to a new URL.
+   * @returns {[string, string][]} The params and values.
+   */
+  getURLParameters() {
+    const searchParams = new URLSearchParams(window.location.search);
+
+    return Array.from(this.#facets.keys()).flatMap((param) =>
+      searchParams.getAll(param).map((value) => /** @type {[string, string]} */ ([param, value]))
+    );
+  }
+
+  /**
+   * Selects the given values of a facet.
+   * @param {string} param - The URL param of the facet.
+   * @param {string[]} values - The values to select.
+   */
+  setValues(param, values) {
+    const url = new URL(window.location.href);
+
+    url.searchParams.delete(param);
+    for (const value of values) {
+      url.searchParams.append(param, value);
+    }
+
+    if (url.toString() === window.location.href) return;
+
+    this.navigate(url.toString());
+  }
+
+  /**
+   * Gets the URL without one value of a facet, like the storefront's `url_to_remove`.
+   * @param {string} param - The URL param of the facet.
+   * @param {string} value - The value to remove.
+   * @returns {string} The URL.
+   */
+  getRemoveURL(param, value) {
+    const url = new URL(window.location.href);
+    const values = url.searchParams.getAll(param).filter((selected) => selected !== value);
+
+    url.searchParams.delete(param);
+    url.searchParams.delete('page');
+    for (const selected of values) {
+      url.searchParams.append(param, selected);
+    }
+
+    return `${url.pathname}${url.search}`;
+  }
+
+  /**
+   * Goes to a filtered URL. Goes through the facets form when there is one, so the storefront facets and the
+   * results stay in sync.
+   * @param {string} url - The URL to go to.
+   */
+  navigate(url) {
+    const facetsForm = /** @type {any} */ (document.querySelector('facets-form-component'));
+
+    if (typeof facetsForm?.updateFiltersByURL === 'function') {
+      facetsForm.updateFiltersByURL(url);
+    } else {
+      history.pushState('', '', url);
+      document.dispatchEvent(new FilterUpdateEvent(new URLSearchParams(new URL(url, window.location.href).search)));
+    }
+
+    this.render();
+  }
+
+  /**
+   * Checks whether a product card matches the selected values of every facet.
+   * @param {HTMLElement} item - The product card.
+   * @param {string} [ignoredParam] - A facet to leave out, e.g. to count the products each of its values would match.
+   * @returns {boolean} Whether the product is shown.
+   */
+  isVisible(item, ignoredParam) {
+    const searchParams = new URLSearchParams(window.location.search);
+
+    for (const { param, attribute } of this.#facets.values()) {
+      if (param === ignoredParam) continue;
+
+      const values = searchParams.getAll(param);
+      if (values.length > 0 && !values.includes(item.getAttribute(attribute) ?? '')) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Hides the products that don't match and renders the active filter pills.
+   */
+  render() {
+    this.#renderStyles();
+    this.#renderPills();
+  }
+
+  #renderStyles() {
+    const searchParams = new URLSearchParams(window.location.search);
+    const rules = [];
+
+    for (const { param, attribute } of this.#facets.values()) {
+      const values = searchParams.getAll(param);
+      if (values.length === 0) continue;
+
+      const selectors = values.map((value) => `[${attribute}="${CSS.escape(value)}"]`);
+      rules.push(`${this.itemSelector}:not(${selectors.join(', ')}) { display: none; }`);
+    }
+
+    if (!this.#style) {
+      this.#style = document.createElement('style');
+      this.#style.dataset.clientFacets = '';
+      document.head.append(this.#style);
+    }
+
+    this.#style.textContent = rules.join('\n');
+  }
+
+  /**
+   * Renders a pill for each selected value into the active filter summaries, next to the storefront facets.
+   */
+  #renderPills() {
+    const searchParams = new URLSearchParams(window.location.search);
+
+    for (const container of document.querySelectorAll('[data-client-facet-pills]')) {
+      const template = container.querySelector('template');
+      if (!template) continue;
+
+      for (const pill of container.querySelectorAll('facet-remove-component')) pill.remove();
+
+      for (const { param, label } of this.#facets.values()) {
+        for (const value of searchParams.getAll(param)) {
+          const pill = document.createElement('facet-remove-component');
+
+          pill.className = 'pills__pill pills__pill--desktop-small facets-remove__pill';
+          pill.dataset.url = this.getRemoveURL(param, value);
+          pill.tabIndex = 0;
+          pill.setAttribute('role', 'button');
+          pill.setAttribute('on:click', '/removeFilter?form=');
+          pill.setAttribute('on:keydown', '/removeFilter?form=');
+          pill.append(`${label}: ${value}`, template.content.cloneNode(true));
+
+          container.append(pill);
+        }
+      }
+    }
+  }
+}
+
+export const clientFacets = new ClientFacets();
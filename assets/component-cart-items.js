@@ -9,8 +9,10 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartService } from '@theme/cart-service';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-service').CartResponse} CartResponse */
 
 /**
  * A custom element that displays a cart items component.
@@ -25,9 +27,17 @@ import { cartPerformance } from '@theme/performance';
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * The IDs of the bundles the shopper collapsed, kept across re-renders.
+   * @type {Set<string>}
+   */
+  #collapsedBundles = new Set();
+
   connectedCallback() {
     super.connectedCallback();
 
+    this.#renderBundleGroups();
+
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
@@ -61,7 +71,7 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+    const lineItemRow = this.#getCartItemRow(line);
 
     if (!lineItemRow) return;
 
@@ -80,16 +90,73 @@ class CartItemsComponent extends Component {
       action: 'clear',
     });
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const cartItemRowToRemove = this.#getCartItemRow(line);
 
     if (!cartItemRowToRemove) return;
 
-    const rowsToRemove = [
+    this.#animateRowRemoval([
       cartItemRowToRemove,
       // Get all nested lines of the row to remove
       ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
-    ];
+    ]);
+  }
+
+  /**
+   * Toggles whether the lines of a bundle are shown.
+   * @param {string} bundleId - The bundle ID.
+   */
+  onBundleToggle(bundleId) {
+    if (this.#collapsedBundles.has(bundleId)) {
+      this.#collapsedBundles.delete(bundleId);
+    } else {
+      this.#collapsedBundles.add(bundleId);
+    }
+
+    this.#renderBundleGroups();
+  }
+
+  /**
+   * Removes every line of a bundle.
+   * @param {string} bundleId - The bundle ID.
+   */
+  async onBundleRemove(bundleId) {
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('clear:user-action');
+
+    this.#disableCartItems();
+    this.refs.cartTotal?.shimmer();
+
+    const groupRow = this.querySelector(`[data-bundle-group="${CSS.escape(bundleId)}"]`);
+
+    this.#animateRowRemoval([
+      ...(groupRow instanceof HTMLElement ? [groupRow] : []),
+      ...this.refs.cartItemRows.filter((row) => row.dataset.bundleId === bundleId),
+    ]);
+
+    try {
+      const cart = await cartService.removeBundle(bundleId, this.#getSectionsToUpdate());
 
+      resetShimmer(this);
+
+      if (cart) {
+        this.#collapsedBundles.delete(bundleId);
+        this.#handleCartResponse(cart);
+      } else {
+        sectionRenderer.renderSection(this.sectionId, { cache: false });
+      }
+    } catch (error) {
+      console.error(error);
+      sectionRenderer.renderSection(this.sectionId, { cache: false });
+    } finally {
+      this.#enableCartItems();
+      cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+    }
+  }
+
+  /**
+   * Animates rows out of the table, then removes them.
+   * @param {HTMLElement[]} rowsToRemove - The rows to remove.
+   */
+  #animateRowRemoval(rowsToRemove) {
     // Add class to the row to trigger the animation
     rowsToRemove.forEach((row) => {
       const remove = () => row.remove();
@@ -119,18 +186,10 @@ class CartItemsComponent extends Component {
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
     const body = JSON.stringify({
       line: line,
       quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
+      sections: this.#getSectionsToUpdate().join(','),
       sections_url: window.location.pathname,
     });
 
@@ -150,29 +209,7 @@ class CartItemsComponent extends Component {
           return;
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
-
-        // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
-
-        this.dispatchEvent(
-          new CartUpdateEvent(parsedResponseText, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
-
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
-
-        this.#updateCartQuantitySelectorButtonStates();
+        this.#handleCartResponse(parsedResponseText);
       })
       .catch((error) => {
         console.error(error);
@@ -183,6 +220,53 @@ class CartItemsComponent extends Component {
       });
   }
 
+  /**
+   * Gets the IDs of the sections to render with a cart request.
+   * @returns {string[]} The section IDs, starting with this component's section.
+   */
+  #getSectionsToUpdate() {
+    const cartItemsComponents = document.querySelectorAll('cart-items-component');
+    const sectionsToUpdate = new Set([this.sectionId]);
+    cartItemsComponents.forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    });
+
+    return Array.from(sectionsToUpdate);
+  }
+
+  /**
+   * Announces a successful cart change and morphs in the re-rendered section.
+   * @param {CartResponse} parsedResponseText - The cart returned by the request, with the rendered sections.
+   */
+  #handleCartResponse(parsedResponseText) {
+    const sectionHTML = parsedResponseText.sections?.[this.sectionId];
+    if (!sectionHTML) return;
+
+    const newSectionHTML = new DOMParser().parseFromString(sectionHTML, 'text/html');
+
+    // Grab the new cart item count from a hidden element
+    const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
+    const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+
+    // Update data-cart-quantity for all matching variants
+    this.#updateQuantitySelectors(parsedResponseText);
+
+    this.dispatchEvent(
+      new CartUpdateEvent(parsedResponseText, this.sectionId, {
+        itemCount: newCartItemCount,
+        source: 'cart-items-component',
+        sections: parsedResponseText.sections,
+      })
+    );
+
+    morphSection(this.sectionId, sectionHTML);
+
+    this.#updateCartQuantitySelectorButtonStates();
+    this.#renderBundleGroups();
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -198,7 +282,8 @@ class CartItemsComponent extends Component {
    * @param {string} parsedResponseText.errors - The errors.
    */
   #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
+    const cartItemRow = this.#getCartItemRow(line);
+    const quantitySelector = this.refs.quantitySelectors.find((selector) => cartItemRow?.contains(selector));
     const quantityInput = quantitySelector?.querySelector('input');
 
     if (!quantityInput) throw new Error('Quantity input not found');
@@ -233,11 +318,40 @@ class CartItemsComponent extends Component {
 
       // Update button states for all cart quantity selectors after morph
       this.#updateCartQuantitySelectorButtonStates();
+      this.#renderBundleGroups();
     } else {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      sectionRenderer.renderSection(this.sectionId, { cache: false }).then(() => this.#renderBundleGroups());
     }
   };
 
+  /**
+   * Gets the row of a cart line. Rows are grouped by bundle, so they aren't always in line order.
+   * @param {number} line - The 1-based line number.
+   * @returns {HTMLTableRowElement | undefined} The row.
+   */
+  #getCartItemRow(line) {
+    return this.refs.cartItemRows.find((row) => row.dataset.line === String(line));
+  }
+
+  /**
+   * Shows or hides the lines of each bundle group to match the collapsed state.
+   */
+  #renderBundleGroups() {
+    for (const groupRow of this.querySelectorAll('[data-bundle-group]')) {
+      if (!(groupRow instanceof HTMLElement)) continue;
+
+      const bundleId = groupRow.dataset.bundleGroup ?? '';
+      const expanded = !this.#collapsedBundles.has(bundleId);
+
+      groupRow.querySelector('.cart-items__bundle-toggle')?.setAttribute('aria-expanded', String(expanded));
+
+      // Query rather than use refs, which may not have caught up with a morph yet
+      for (const row of this.querySelectorAll(`[data-bundle-id="${CSS.escape(bundleId)}"]`)) {
+        if (row instanceof HTMLElement) row.hidden = !expanded;
+      }
+    }
+  }
+
   /**
    * Disables the cart items.
    */
@@ -40,6 +40,12 @@ export class DialogComponent extends Component {
 
   #previousScrollY = 0;
 
+  /**
+   * Whether this dialog locked the page scroll, rather than a dialog it was opened on top of.
+   * @type {boolean}
+   */
+  #hasLockedScroll = false;
+
   /**
    * Shows the dialog.
    */
@@ -50,12 +56,15 @@ export class DialogComponent extends Component {
 
     const scrollY = window.scrollY;
     this.#previousScrollY = scrollY;
+    this.#hasLockedScroll = document.body.style.position !== 'fixed';
 
     // Prevent layout thrashing by separating DOM reads from DOM writes
     requestAnimationFrame(() => {
-      document.body.style.width = '100%';
-      document.body.style.position = 'fixed';
-      document.body.style.top = `-${scrollY}px`;
+      if (this.#hasLockedScroll) {
+        document.body.style.width = '100%';
+        document.body.style.position = 'fixed';
+        document.body.style.top = `-${scrollY}px`;
+      }
 
       dialog.showModal();
       this.dispatchEvent(new DialogOpenEvent());
@@ -91,10 +100,13 @@ export class DialogComponent extends Component {
       subtree: false,
     });
 
-    document.body.style.width = '';
-    document.body.style.position = '';
-    document.body.style.top = '';
-    window.scrollTo({ top: this.#previousScrollY, behavior: 'instant' });
+    // Leave the page locked for the dialog underneath, e.g. the search when its quick add closes
+    if (this.#hasLockedScroll) {
+      document.body.style.width = '';
+      document.body.style.position = '';
+      document.body.style.top = '';
+      window.scrollTo({ top: this.#previousScrollY, behavior: 'instant' });
+    }
 
     dialog.close();
     dialog.classList.remove('dialog-closing');
@@ -26,6 +26,10 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when the results of a collection filter change have rendered */
+  static filterRender = 'filter:render';
+  /** @static @constant {string} Event triggered when a paginated list renders another page of items */
+  static paginatedListRender = 'paginated-list:render';
 }
 
 /**
@@ -288,3 +292,31 @@ export class FilterUpdateEvent extends Event {
     return [...this.detail.queryParams.entries()].filter(([key]) => key.startsWith('filter.')).length > 0;
   }
 }
+
+/** Event class for the results of a collection filter change having rendered */
+export class FilterRenderEvent extends Event {
+  /**
+   * @param {string} sectionId - The ID of the section that was rendered
+   */
+  constructor(sectionId) {
+    super(ThemeEvents.filterRender, { bubbles: true });
+    this.detail = {
+      sectionId,
+    };
+  }
+}
+
+/** Event class for pages of items rendered by a paginated list, e.g. through infinite scroll */
+export class PaginatedListRenderEvent extends Event {
+  /**
+   * @param {Element[]} items - The items that were added to the list
+   * @param {number} page - The page the items belong to
+   */
+  constructor(items, page) {
+    super(ThemeEvents.paginatedListRender, { bubbles: true });
+    this.detail = {
+      items,
+      page,
+    };
+  }
+}
@@ -1,7 +1,8 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
-import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { FilterRenderEvent, FilterUpdateEvent, ThemeEvents } from '@theme/events';
+import { debounce, formatCurrency, formatMoney, startViewTransition } from '@theme/utilities';
+import { clientFacets } from '@theme/client-facets';
 
 /**
  * Search query parameter.
@@ -37,6 +38,11 @@ class FacetsFormComponent extends Component {
     const searchQuery = this.#getSearchQuery();
     if (searchQuery) newParameters.set(SEARCH_QUERY, searchQuery);
 
+    // Quick filters applied in the browser aren't form inputs, carry them over from the current URL
+    for (const [param, value] of clientFacets.getURLParameters()) {
+      newParameters.append(param, value);
+    }
+
     return newParameters;
   }
 
@@ -84,11 +90,17 @@ class FacetsFormComponent extends Component {
    */
   #updateSection() {
     const viewTransition = !this.closest('dialog');
+    const render = () =>
+      sectionRenderer.renderSection(this.sectionId).then(() => {
+        // The rendered section doesn't include the client facet pills, so put them back
+        clientFacets.render();
+        this.dispatchEvent(new FilterRenderEvent(this.sectionId));
+      });
 
     if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
+      startViewTransition(render, ['product-grid']);
     } else {
-      sectionRenderer.renderSection(this.sectionId);
+      render();
     }
   }
 
@@ -786,64 +798,7 @@ class FacetStatusComponent extends Component {
     const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
-
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return formatCurrency(moneyValue, template, currency);
   }
 
   /**
@@ -857,56 +812,3 @@ class FacetStatusComponent extends Component {
 if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
-
-/**
- * Default currency decimals used in most currenies
- * @constant {number}
- */
-const DEFAULT_CURRENCY_DECIMALS = 2;
-
-/**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
- */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
@@ -0,0 +1,396 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+
+/**
+ * @typedef {object} FilterPreset
+ * @property {string} name - The name the customer gave the preset.
+ * @property {string} params - The filter params of the preset, as a query string.
+ */
+
+/**
+ * @typedef {object} FilterPresetsState
+ * @property {boolean} enabled - Whether the customer lets the store remember their filters.
+ * @property {FilterPreset[]} presets - The saved presets, most recent first.
+ * @property {string[]} mySize - The size values the customer filtered by last.
+ */
+
+/**
+ * Stores the customer's saved filter presets and their size in localStorage.
+ */
+export class FilterPresets {
+  /** @static @constant {string} The key used to store the presets in local storage */
+  static #STORAGE_KEY = 'filterPresets';
+  /** @static @constant {number} The maximum number of presets to store */
+  static #MAX_PRESETS = 10;
+
+  /**
+   * @returns {FilterPresetsState} The stored state.
+   */
+  static getState() {
+    /** @type {FilterPresetsState} */
+    const defaults = { enabled: true, presets: [], mySize: [] };
+
+    try {
+      return { ...defaults, ...JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '{}') };
+    } catch {
+      return defaults;
+    }
+  }
+
+  /**
+   * @param {FilterPresetsState} state - The state to store.
+   */
+  static #setState(state) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // Storage is full or blocked, so the change isn't remembered
+    }
+  }
+
+  /**
+   * Saves a preset, replacing an existing one with the same name.
+   * @param {string} name - The name of the preset.
+   * @param {string} params - The filter params of the preset, as a query string.
+   */
+  static savePreset(name, params) {
+    const state = this.getState();
+    if (!state.enabled) return;
+
+    const presets = state.presets.filter((preset) => preset.name !== name);
+    presets.unshift({ name, params });
+
+    this.#setState({ ...state, presets: presets.slice(0, this.#MAX_PRESETS) });
+  }
+
+  /**
+   * @param {string} name - The name of the preset to delete.
+   */
+  static deletePreset(name) {
+    const state = this.getState();
+    this.#setState({ ...state, presets: state.presets.filter((preset) => preset.name !== name) });
+  }
+
+  /**
+   * @param {string[]} values - The size values the customer filtered by.
+   */
+  static setMySize(values) {
+    const state = this.getState();
+    if (!state.enabled) return;
+
+    this.#setState({ ...state, mySize: values });
+  }
+
+  /**
+   * Turns remembering filters on or off. Turning it off forgets everything stored so far.
+   * @param {boolean} enabled - Whether to remember filters.
+   */
+  static setEnabled(enabled) {
+    this.#setState(enabled ? { ...this.getState(), enabled } : { enabled, presets: [], mySize: [] });
+  }
+}
+
+/**
+ * A custom element that lets customers save the filters they use as named presets, and remembers their size
+ * to apply or suggest it on every collection (`data-my-size-behavior`).
+ *
+ * Rendered next to the facets form, whose URL updates it goes through.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} presetList - The list the saved presets are rendered into.
+ * @property {HTMLTemplateElement} presetTemplate - The markup of a saved preset.
+ * @property {HTMLInputElement} presetName - The name input for a new preset.
+ * @property {HTMLInputElement} memoryToggle - The checkbox that turns remembering filters on or off.
+ * @property {HTMLElement} [suggestion] - The suggestion to filter by the remembered size.
+ * @property {HTMLElement} [suggestionText] - The text of the size suggestion.
+ *
+ * @extends {Component<Refs>}
+ */
+class FilterPresetsComponent extends Component {
+  requiredRefs = ['presetList', 'presetTemplate', 'presetName', 'memoryToggle'];
+
+  /** @static @constant {string} The session storage key for the collections the size was applied to */
+  static #APPLIED_KEY = 'filterPresetsMySizeApplied';
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render();
+    // Go through the facets form once it's ready, rather than reloading the page
+    customElements.whenDefined('facets-form-component').then(() => this.#applyMySize());
+
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    document.addEventListener(ThemeEvents.filterRender, this.#handleFilterRender);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    document.removeEventListener(ThemeEvents.filterRender, this.#handleFilterRender);
+  }
+
+  /**
+   * The URL param of the size facet, e.g. `filter.v.option.size`.
+   * @returns {string}
+   */
+  get sizeParam() {
+    return this.dataset.sizeParam ?? '';
+  }
+
+  /**
+   * The size values this collection can be filtered by.
+   * @returns {string[]}
+   */
+  get sizeValues() {
+    try {
+      return JSON.parse(this.dataset.sizeValues || '[]');
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Saves the current filters under the name in the name input.
+   * @param {Event} event - The click or keydown event.
+   */
+  savePreset(event) {
+    if (event instanceof KeyboardEvent) {
+      if (event.key !== 'Enter') return;
+      // Don't submit the facets form
+      event.preventDefault();
+    }
+
+    const { presetName } = this.refs;
+    const name = presetName.value.trim();
+    const params = this.#getFilterParams(new URLSearchParams(window.location.search));
+
+    if (!name || !params.toString()) {
+      presetName.focus();
+      return;
+    }
+
+    FilterPresets.savePreset(name, params.toString());
+    presetName.value = '';
+    this.#render();
+  }
+
+  /**
+   * Applies the clicked preset.
+   * @param {Event} event - The click event.
+   */
+  applyPreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    this.#navigate(new URLSearchParams(preset.params));
+  }
+
+  /**
+   * Deletes the clicked preset.
+   * @param {Event} event - The click event.
+   */
+  deletePreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    FilterPresets.deletePreset(preset.name);
+    this.#render();
+    this.refs.presetName.focus();
+  }
+
+  /**
+   * Filters by the remembered size, from the suggestion.
+   */
+  acceptSuggestion() {
+    this.#navigate(this.#withMySize(new URLSearchParams(window.location.search)));
+  }
+
+  /**
+   * Hides the size suggestion for this collection.
+   */
+  dismissSuggestion() {
+    this.#markMySizeApplied();
+    if (this.refs.suggestion) this.refs.suggestion.hidden = true;
+  }
+
+  /**
+   * Turns remembering filters on or off.
+   */
+  toggleMemory() {
+    FilterPresets.setEnabled(this.refs.memoryToggle.checked);
+    this.#render();
+  }
+
+  /**
+   * Remembers the size the customer filters by.
+   * @param {import('@theme/events').FilterUpdateEvent} event
+   */
+  #handleFilterUpdate = (event) => {
+    if (!this.sizeParam) return;
+
+    const sizes = event.detail.queryParams.getAll(this.sizeParam);
+    if (sizes.length > 0) FilterPresets.setMySize(sizes);
+  };
+
+  /**
+   * Renders the presets again, as the section render replaces them.
+   */
+  #handleFilterRender = () => {
+    this.#render();
+  };
+
+  /**
+   * Applies or suggests the remembered size, once per collection and session, when the collection isn't filtered
+   * by size yet.
+   */
+  #applyMySize() {
+    const { suggestion, suggestionText } = this.refs;
+    const { enabled } = FilterPresets.getState();
+    const sizes = this.#getMySize();
+    const searchParams = new URLSearchParams(window.location.search);
+
+    if (!enabled || sizes.length === 0 || searchParams.has(this.sizeParam) || this.#isMySizeApplied()) return;
+
+    if (this.dataset.mySizeBehavior === 'apply') {
+      this.#markMySizeApplied();
+      this.#navigate(this.#withMySize(searchParams));
+    } else if (suggestion) {
+      const label = suggestionText?.dataset.label;
+      if (suggestionText && label) suggestionText.textContent = label.replace('[size]', sizes.join(', '));
+
+      suggestion.hidden = false;
+    }
+  }
+
+  /**
+   * @returns {string[]} The remembered size values this collection can be filtered by.
+   */
+  #getMySize() {
+    const values = this.sizeValues;
+    return FilterPresets.getState().mySize.filter((size) => values.includes(size));
+  }
+
+  /**
+   * @param {URLSearchParams} searchParams - The params to add the size to.
+   * @returns {URLSearchParams} The params with the remembered size.
+   */
+  #withMySize(searchParams) {
+    const params = new URLSearchParams(searchParams);
+
+    params.delete(this.sizeParam);
+    for (const size of this.#getMySize()) {
+      params.append(this.sizeParam, size);
+    }
+
+    return params;
+  }
+
+  #isMySizeApplied() {
+    return this.#getMySizeAppliedPaths().includes(window.location.pathname);
+  }
+
+  #markMySizeApplied() {
+    const applied = this.#getMySizeAppliedPaths();
+    applied.push(window.location.pathname);
+
+    try {
+      sessionStorage.setItem(FilterPresetsComponent.#APPLIED_KEY, JSON.stringify(applied));
+    } catch {
+      // Storage is full or blocked
+    }
+  }
+
+  /**
+   * @returns {string[]} The paths the remembered size was applied to in this session.
+   */
+  #getMySizeAppliedPaths() {
+    try {
+      const applied = JSON.parse(sessionStorage.getItem(FilterPresetsComponent.#APPLIED_KEY) || '[]');
+      return Array.isArray(applied) ? applied : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {URLSearchParams} searchParams - The params to take the filters from.
+   * @returns {URLSearchParams} The filter params, without the search query and the page.
+   */
+  #getFilterParams(searchParams) {
+    const params = new URLSearchParams(searchParams);
+
+    params.delete('q');
+    params.delete('page');
+
+    return params;
+  }
+
+  /**
+   * Goes to the current collection with the given filters, keeping the search query.
+   * @param {URLSearchParams} filterParams - The filter params.
+   */
+  #navigate(filterParams) {
+    const url = new URL(window.location.href);
+    const query = url.searchParams.get('q');
+
+    url.search = this.#getFilterParams(filterParams).toString();
+    if (query) url.searchParams.set('q', query);
+
+    if (this.refs.suggestion) this.refs.suggestion.hidden = true;
+
+    const facetsForm = /** @type {any} */ (this.closest('facets-form-component'));
+
+    if (typeof facetsForm?.updateFiltersByURL === 'function') {
+      facetsForm.updateFiltersByURL(url.toString());
+    } else {
+      window.location.assign(url.toString());
+    }
+  }
+
+  /**
+   * @param {Event} event - An event from a preset's buttons.
+   * @returns {FilterPreset | undefined} The preset.
+   */
+  #getPreset(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const name = event.target.closest('[data-preset-name]')?.getAttribute('data-preset-name');
+    return FilterPresets.getState().presets.find((preset) => preset.name === name);
+  }
+
+  /**
+   * Renders the saved presets and the memory toggle.
+   */
+  #render() {
+    const { presetList, presetTemplate, presetName, memoryToggle } = this.refs;
+    const { enabled, presets } = FilterPresets.getState();
+
+    memoryToggle.checked = enabled;
+    presetName.disabled = !enabled;
+    this.toggleAttribute('data-disabled', !enabled);
+
+    presetList.replaceChildren(
+      ...presets.map((preset) => {
+        const fragment = /** @type {DocumentFragment} */ (presetTemplate.content.cloneNode(true));
+        const item = fragment.querySelector('[data-preset-name]');
+        const label = fragment.querySelector('[data-preset-label]');
+        const deleteButton = fragment.querySelector('[data-preset-delete]');
+
+        item?.setAttribute('data-preset-name', preset.name);
+        if (label) label.textContent = preset.name;
+
+        const deleteLabel = deleteButton?.getAttribute('data-label');
+        if (deleteButton && deleteLabel) {
+          deleteButton.setAttribute('aria-label', deleteLabel.replace('[name]', preset.name));
+        }
+
+        return fragment;
+      })
+    );
+  }
+}
+
+if (!customElements.get('filter-presets-component')) {
+  customElements.define('filter-presets-component', FilterPresetsComponent);
+}
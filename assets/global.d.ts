@@ -9,6 +9,9 @@ declare global {
     };
     designMode: boolean;
     locale: string;
+    routes: {
+      root: string;
+    };
     shop: string;
     loadFeatures(features: ShopifyFeature[], callback?: LoadCallback): void;
     ModelViewerUI?: ModelViewer;
@@ -70,4 +73,12 @@ declare global {
   interface Navigator {
     readonly deviceMemory?: number;
   }
+
+  // Intl.ListFormat - https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl/ListFormat
+  namespace Intl {
+    class ListFormat {
+      constructor(locales?: string | string[], options?: { type?: 'conjunction' | 'disjunction' | 'unit' });
+      format(list: Iterable<string>): string;
+    }
+  }
 }
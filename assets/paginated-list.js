@@ -1,7 +1,7 @@
 import { Component } from '@theme/component';
 import { sectionRenderer } from '@theme/section-renderer';
 import { requestIdleCallback, viewTransition } from '@theme/utilities';
-import { ThemeEvents } from '@theme/events';
+import { PaginatedListRenderEvent, ThemeEvents } from '@theme/events';
 import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-ratio';
 
 /**
@@ -191,6 +191,8 @@ export default class PaginatedList extends Component {
 
     this.#aspectRatioHelper.processNewElements();
 
+    this.dispatchEvent(new PaginatedListRenderEvent(Array.from(nextPageItemElements), nextPage.page));
+
     history.pushState('', '', nextPage.url.toString());
 
     requestIdleCallback(() => {
@@ -230,6 +232,8 @@ export default class PaginatedList extends Component {
 
     this.#aspectRatioHelper.processNewElements();
 
+    this.dispatchEvent(new PaginatedListRenderEvent(Array.from(previousPageItemElements), previousPage.page));
+
     history.pushState('', '', previousPage.url.toString());
 
     // Calculate and adjust scroll position to maintain the same view
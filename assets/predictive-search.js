@@ -4,11 +4,123 @@ import { sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
 import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialog';
+import { searchPerformance } from '@theme/performance';
+import { SearchDictionary } from '@theme/search-dictionary';
+import { SearchHistory } from '@theme/search-history';
+
+/**
+ * @typedef {object} SearchResultsEntry
+ * @property {string} markup - The rendered predictive search section.
+ * @property {number} cachedAt - When the results were fetched.
+ */
+
+/**
+ * A least recently used cache of predictive search results, keyed on the normalized query.
+ */
+class SearchResultsCache {
+  /** @type {Map<string, SearchResultsEntry>} */
+  #entries = new Map();
+
+  /**
+   * @param {number} maxSize - The maximum number of queries to keep.
+   * @param {number} maxAge - How long results stay fresh, in milliseconds.
+   */
+  constructor(maxSize, maxAge) {
+    this.maxSize = maxSize;
+    this.maxAge = maxAge;
+  }
+
+  /**
+   * Normalizes a query, so that casing and whitespace don't cause cache misses.
+   * @param {string} query - The query as typed.
+   * @returns {string} The normalized query.
+   */
+  static normalize(query) {
+    return query.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * @param {string} query - The normalized query.
+   * @returns {SearchResultsEntry | undefined} The fresh results of the query, if cached.
+   */
+  get(query) {
+    const entry = this.#entries.get(query);
+    if (!entry) return;
+
+    this.#entries.delete(query);
+    if (Date.now() - entry.cachedAt > this.maxAge) return;
+
+    // Re-insert, so the most recently used queries are evicted last
+    this.#entries.set(query, entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} query - The normalized query.
+   * @param {SearchResultsEntry} entry - The results of the query.
+   */
+  set(query, entry) {
+    this.#entries.delete(query);
+    this.#entries.set(query, entry);
+
+    if (this.#entries.size > this.maxSize) {
+      const oldestQuery = this.#entries.keys().next().value;
+      if (oldestQuery !== undefined) this.#entries.delete(oldestQuery);
+    }
+  }
+
+  /**
+   * Finds the results of the longest prefix of a query that has been searched already.
+   * @param {string} query - The normalized query.
+   * @param {number} [minLength] - The length the prefix must exceed, e.g. to stay within a scope like `page:`.
+   * @returns {SearchResultsEntry | undefined} The results of the prefix, if any.
+   */
+  getPrefix(query, minLength = 0) {
+    for (let length = query.length - 1; length > minLength; length--) {
+      const entry = this.get(query.slice(0, length));
+      if (entry) return entry;
+    }
+  }
+}
+
+/**
+ * Shared by every predictive search on the page, so results survive the search modal being re-rendered.
+ */
+const searchResultsCache = new SearchResultsCache(50, 5 * 60 * 1000);
+
+/**
+ * The resource types a query can be scoped to with a prefix, e.g. `collection:slings`, keyed by prefix.
+ * Orders can't be searched, so `order:` points to the customer account instead.
+ * @type {Record<string, string>}
+ */
+const SEARCH_SCOPES = {
+  product: 'product',
+  collection: 'collection',
+  page: 'page',
+  article: 'article',
+  blog: 'article',
+  order: 'order',
+};
+
+/**
+ * The scopes the search results page can be filtered to with its `type` param.
+ */
+const SEARCH_PAGE_TYPES = ['product', 'page', 'article'];
+
+/**
+ * The searches in flight, keyed on the normalized query, so prefetches and keystrokes share one request.
+ * @type {Map<string, Promise<SearchResultsEntry>>}
+ */
+const pendingSearches = new Map();
 
 /**
  * A custom element that allows the user to search for resources available on the store.
  *
+ * In the search modal, "/" or Ctrl/Cmd+K open it from anywhere. Prefixes like `collection:` or `page:` scope
+ * the results to one resource type.
+ *
  * @typedef {object} Refs
+ * @property {HTMLFormElement} [form] - The search form.
  * @property {HTMLInputElement} searchInput - The search input element.
  * @property {HTMLElement} predictiveSearchResults - The predictive search results container.
  * @property {HTMLElement} resetButton - The reset button element.
@@ -16,6 +128,11 @@ import { DialogCloseEvent, DialogOpenEvent, DialogComponent } from '@theme/dialo
  * @property {HTMLElement} [recentlyViewedWrapper] - The recently viewed products wrapper.
  * @property {HTMLElement[]} [recentlyViewedTitle] - The recently viewed title elements.
  * @property {HTMLElement[]} [recentlyViewedItems] - The recently viewed product items.
+ * @property {HTMLScriptElement} [searchDictionary] - The JSON misspellings and synonyms to rewrite queries with.
+ * @property {HTMLElement} [scopeNotice] - The notice naming the resource type a prefix scoped the query to.
+ * @property {HTMLElement} [rewriteNotice] - The notice shown when the query was rewritten.
+ * @property {HTMLElement} [rewriteText] - The text of the notice, naming the query searched for.
+ * @property {HTMLButtonElement} [rewriteButton] - The button that searches for the query as typed.
  * @extends {Component<Refs>}
  */
 class PredictiveSearchComponent extends Component {
@@ -30,6 +147,19 @@ class PredictiveSearchComponent extends Component {
 
   #emptyStateLoaded = false;
 
+  #hasPrefetched = false;
+
+  /**
+   * @type {SearchDictionary | null}
+   */
+  #dictionary = null;
+
+  /**
+   * The normalized query the customer chose to search for as typed, rather than rewritten.
+   * @type {string}
+   */
+  #originalQuery = '';
+
   /**
    * Get the dialog component.
    * @returns {DialogComponent | null} The dialog component.
@@ -56,6 +186,12 @@ class PredictiveSearchComponent extends Component {
       this.addEventListener('click', this.#handleModalClick, { signal });
     }
 
+    this.refs.searchInput.addEventListener('focus', this.#prefetchPopularQueries, { signal });
+    this.refs.form?.addEventListener('submit', this.#handleSubmit, { signal });
+    this.refs.predictiveSearchResults.addEventListener('click', this.#handleResultsClick, { signal });
+
+    this.#renderSearchHistory();
+
     if (RecentlyViewed.getProducts().length > 0) {
       requestIdleCallback(() => {
         this.#loadEmptyState();
@@ -88,15 +224,51 @@ class PredictiveSearchComponent extends Component {
   }
 
   /**
-   * Handles the CMD+K key combination.
+   * Handles the CMD+K or CTRL+K key combination, which toggles the search, and "/", which opens it when the
+   * user isn't typing.
    * @param {KeyboardEvent} event - The keyboard event.
    */
   #handleKeyboardShortcut = (event) => {
-    if (event.metaKey && event.key === 'k') {
-      this.dialog?.toggleDialog();
+    const { dialog } = this;
+    if (!dialog || event.altKey) return;
+
+    const isToggleShortcut = (event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k';
+    const isOpenShortcut = event.key === '/' && !event.metaKey && !event.ctrlKey && !this.#isEditable(event.target);
+
+    if (!isToggleShortcut && !isOpenShortcut) return;
+
+    const { open } = dialog.refs.dialog;
+    if (isOpenShortcut && open) return;
+
+    // Leave the keyboard to any other modal, e.g. the quick add opened on top of the search
+    const hasOtherModal = Array.from(document.querySelectorAll('dialog[open]')).some(
+      (element) => element !== dialog.refs.dialog && element.matches(':modal')
+    );
+    if (hasOtherModal) return;
+
+    event.preventDefault();
+
+    if (open) {
+      dialog.closeDialog();
+      return;
     }
+
+    // The modal dialog keeps focus within the search, starting at the input
+    dialog.addEventListener(DialogOpenEvent.eventName, () => this.refs.searchInput.focus(), { once: true });
+    dialog.showDialog();
   };
 
+  /**
+   * @param {EventTarget | null} target - The target of a keyboard event.
+   * @returns {boolean} Whether the target takes text input.
+   */
+  #isEditable(target) {
+    return (
+      target instanceof HTMLElement &&
+      (target.isContentEditable || target.matches('input:not([type="checkbox"], [type="radio"]), textarea, select'))
+    );
+  }
+
   /**
    * Handles the dialog close event.
    */
@@ -121,7 +293,8 @@ class PredictiveSearchComponent extends Component {
       this.querySelectorAll(
         '.predictive-search-results__wrapper-queries, ' +
           '.predictive-search-results__wrapper-products, ' +
-          '.predictive-search-results__list'
+          '.predictive-search-results__list, ' +
+          '.search-drawer__query-list'
       )
     );
 
@@ -223,6 +396,7 @@ class PredictiveSearchComponent extends Component {
         if (singleResultContainer instanceof HTMLElement && singleResultContainer.dataset.singleResultUrl) {
           event.preventDefault();
           window.location.href = singleResultContainer.dataset.singleResultUrl;
+          SearchHistory.addQuery(this.refs.searchInput.value);
           return;
         }
 
@@ -230,9 +404,9 @@ class PredictiveSearchComponent extends Component {
           event.preventDefault();
           this.#currentItem?.querySelector('a')?.click();
         } else {
-          const searchUrl = new URL(Theme.routes.search_url, location.origin);
-          searchUrl.searchParams.set('q', this.refs.searchInput.value);
-          window.location.href = searchUrl.toString();
+          event.preventDefault();
+          window.location.href = this.#getSearchUrl(this.refs.searchInput.value);
+          SearchHistory.addQuery(this.refs.searchInput.value);
         }
         break;
       }
@@ -265,6 +439,36 @@ class PredictiveSearchComponent extends Component {
     }
   }
 
+  /**
+   * Removes a search from the recent searches.
+   * @param {Event} event - The click event.
+   */
+  removeSearchHistoryItem(event) {
+    event.stopPropagation();
+    if (!(event.target instanceof Element)) return;
+
+    const item = event.target.closest('[data-search-history-item]');
+    if (!(item instanceof HTMLElement) || item.dataset.query === undefined) return;
+
+    SearchHistory.removeQuery(item.dataset.query);
+    this.#currentIndex = -1;
+    this.#renderSearchHistory();
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Clears the recent searches.
+   * @param {Event} event - The click event.
+   */
+  clearSearchHistory(event) {
+    event.stopPropagation();
+
+    SearchHistory.clearQueries();
+    this.#currentIndex = -1;
+    this.#renderSearchHistory();
+    this.refs.searchInput.focus();
+  }
+
   /**
    * Reset the search state.
    * @param {boolean} [keepFocus=true] - Whether to keep focus on input after reset
@@ -296,6 +500,130 @@ class PredictiveSearchComponent extends Component {
     this.#getSearchResults(searchTerm);
   }, 200);
 
+  /**
+   * Search for the query as typed, after it was rewritten by the dictionary.
+   */
+  searchOriginal() {
+    const searchTerm = this.refs.searchInput.value.trim();
+    if (!searchTerm) return;
+
+    this.#originalQuery = SearchResultsCache.normalize(this.#parseSearchTerm(searchTerm).query);
+    this.#getSearchResults(searchTerm);
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Remembers the query when the full search results are requested, and goes to the results of its scope.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  #handleSubmit = (event) => {
+    const searchTerm = this.refs.searchInput.value;
+
+    if (this.#parseSearchTerm(searchTerm).scope) {
+      event.preventDefault();
+      window.location.href = this.#getSearchUrl(searchTerm);
+    }
+
+    SearchHistory.addQuery(searchTerm);
+  };
+
+  /**
+   * Remembers the query a result was picked for, or the recent or popular search that was picked.
+   * @param {MouseEvent} event - The click event.
+   */
+  #handleResultsClick = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const link = event.target.closest('a');
+    if (!link) return;
+
+    SearchHistory.addQuery(link.dataset.searchQuery ?? this.refs.searchInput.value);
+  };
+
+  /**
+   * Renders the recent searches into the empty state, when it's shown.
+   */
+  #renderSearchHistory() {
+    const section = this.refs.predictiveSearchResults.querySelector('[data-search-history]');
+    const list = section?.querySelector('[data-search-history-list]');
+    const template = section?.querySelector('template');
+    if (!(section instanceof HTMLElement) || !list || !template) return;
+
+    const queries = SearchHistory.getQueries();
+    section.hidden = queries.length === 0;
+
+    list.replaceChildren(
+      ...queries.map((query) => {
+        const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+        const item = fragment.querySelector('[data-search-history-item]');
+        const link = fragment.querySelector('[data-search-query]');
+        const removeButton = fragment.querySelector('.search-drawer__history-remove');
+
+        if (item instanceof HTMLElement) item.dataset.query = query;
+
+        if (link instanceof HTMLAnchorElement) {
+          link.href = this.#getSearchUrl(query);
+          link.dataset.searchQuery = query;
+          link.textContent = query;
+        }
+
+        const removeLabel = removeButton?.getAttribute('data-label');
+        if (removeButton && removeLabel) removeButton.setAttribute('aria-label', removeLabel.replace('[query]', query));
+
+        return fragment;
+      })
+    );
+  }
+
+  /**
+   * @param {string} searchTerm - The search term, which may start with a scope prefix.
+   * @returns {string} The URL of the full search results for the term, or of the orders for `order:`.
+   */
+  #getSearchUrl(searchTerm) {
+    const { scope, query } = this.#parseSearchTerm(searchTerm);
+
+    const ordersLink = this.querySelector('a[data-search-scope="order"]');
+    if (scope === 'order' && ordersLink instanceof HTMLAnchorElement) return ordersLink.href;
+
+    const searchUrl = new URL(Theme.routes.search_url, location.origin);
+    searchUrl.searchParams.set('q', query);
+    if (SEARCH_PAGE_TYPES.includes(scope)) searchUrl.searchParams.set('type', scope);
+
+    return searchUrl.toString();
+  }
+
+  /**
+   * Splits a scope prefix like `collection:` off a search term.
+   * @param {string} searchTerm - The search term as typed.
+   * @returns {{ scope: string, query: string }} The resource type to search, if any, and the query to search for.
+   */
+  #parseSearchTerm(searchTerm) {
+    const match = searchTerm.match(/^\s*(\w+):(.*)$/s);
+    const prefix = match?.[1]?.toLowerCase() ?? '';
+    const scope = Object.prototype.hasOwnProperty.call(SEARCH_SCOPES, prefix) ? SEARCH_SCOPES[prefix] : '';
+
+    // Without customer accounts there's nothing to point `order:` to, so it's searched as typed
+    const hasScope = scope && (scope !== 'order' || this.querySelector('[data-search-scope="order"]'));
+    if (!match || !hasScope) return { scope: '', query: searchTerm.trim() };
+
+    return { scope, query: (match[2] ?? '').trim() };
+  }
+
+  /**
+   * Show the resource type the results are scoped to, or the link to the orders.
+   * @param {string} scope - The resource type, or an empty string
+   */
+  #renderScopeNotice(scope) {
+    const { scopeNotice } = this.refs;
+    if (!scopeNotice) return;
+
+    scopeNotice.hidden = !scope;
+
+    for (const element of scopeNotice.querySelectorAll('[data-search-scope]')) {
+      if (element instanceof HTMLElement) element.hidden = element.dataset.searchScope !== scope;
+    }
+  }
+
   /**
    * Resets scroll positions for search results containers
    */
@@ -307,30 +635,51 @@ class PredictiveSearchComponent extends Component {
   }
 
   /**
-   * Fetch search results using the section renderer and update the results container.
+   * Show the results for a search term. Results of queries searched before are shown right away. While new
+   * results load, the results of the longest prefix already searched are shown in their place.
+   *
+   * Misspellings and synonyms are rewritten first, unless the customer chose to search for the query as typed.
    * @param {string} searchTerm - The term to search for
    */
   async #getSearchResults(searchTerm) {
     if (!this.dataset.sectionId) return;
 
-    const url = new URL(Theme.routes.predictive_search_url, location.origin);
-    url.searchParams.set('q', searchTerm);
-    url.searchParams.set('resources[limit_scope]', 'each');
+    const { scope, query: scopedTerm } = this.#parseSearchTerm(searchTerm);
+    const typedQuery = SearchResultsCache.normalize(scopedTerm);
+    const query = typedQuery === this.#originalQuery ? typedQuery : this.#getDictionary().rewrite(typedQuery);
 
-    const { predictiveSearchResults } = this.refs;
+    this.#renderScopeNotice(scope);
+    this.#renderRewriteNotice(typedQuery, query);
 
     const abortController = this.#createAbortController();
 
-    sectionRenderer
-      .getSectionHTML(this.dataset.sectionId, false, url)
-      .then((resultsMarkup) => {
-        if (!resultsMarkup) return;
+    // Orders are looked up in the customer account, and a bare prefix has nothing to search for yet
+    if (scope === 'order' || !query) {
+      this.refs.predictiveSearchResults.replaceChildren();
+      return;
+    }
+
+    const cacheKey = scope ? `${scope}:${query}` : query;
 
-        if (abortController.signal.aborted) return;
+    const cachedEntry = searchResultsCache.get(cacheKey);
+    if (cachedEntry) {
+      searchPerformance.measure('predictive-search:cache-hit', () => this.#renderResults(cachedEntry.markup));
+      return;
+    }
+
+    const prefixEntry = searchResultsCache.getPrefix(cacheKey, scope ? scope.length + 1 : 0);
+
+    // Only a placeholder: typo tolerance means a longer query can match where its prefix didn't
+    if (prefixEntry) this.#renderResults(prefixEntry.markup);
 
-        morph(predictiveSearchResults, resultsMarkup);
+    const startMarker = searchPerformance.createStartingMarker('predictive-search:fetch');
 
-        this.#resetScrollPositions();
+    this.#fetchResults(query, scope)
+      .then((entry) => {
+        if (abortController.signal.aborted) return;
+
+        this.#renderResults(entry.markup);
+        searchPerformance.measureFromMarker(startMarker);
       })
       .catch((error) => {
         if (abortController.signal.aborted) return;
@@ -338,6 +687,137 @@ class PredictiveSearchComponent extends Component {
       });
   }
 
+  /**
+   * Fetch the results for a query, or join the request already in flight for it, and cache them.
+   * @param {string} query - The normalized query
+   * @param {string} [scope] - The resource type to limit the results to
+   * @returns {Promise<SearchResultsEntry>} The results
+   */
+  #fetchResults(query, scope = '') {
+    const cacheKey = scope ? `${scope}:${query}` : query;
+
+    const pendingSearch = pendingSearches.get(cacheKey);
+    if (pendingSearch) return pendingSearch;
+
+    const url = new URL(Theme.routes.predictive_search_url, location.origin);
+    url.searchParams.set('q', query);
+    url.searchParams.set('resources[limit_scope]', 'each');
+
+    if (scope) {
+      url.searchParams.set('resources[type]', scope);
+      url.searchParams.set('resources[limit]', '10');
+    }
+
+    const search = sectionRenderer
+      .getSectionHTML(/** @type {string} */ (this.dataset.sectionId), false, url)
+      .then((markup) => {
+        /** @type {SearchResultsEntry} */
+        const entry = {
+          markup,
+          cachedAt: Date.now(),
+        };
+
+        searchResultsCache.set(cacheKey, entry);
+        return entry;
+      })
+      .finally(() => pendingSearches.delete(cacheKey));
+
+    pendingSearches.set(cacheKey, search);
+    return search;
+  }
+
+  /**
+   * Morph the results container into the given results.
+   * @param {string} resultsMarkup - The rendered predictive search section
+   */
+  #renderResults(resultsMarkup) {
+    if (!resultsMarkup) return;
+
+    morph(this.refs.predictiveSearchResults, resultsMarkup);
+    this.#resetScrollPositions();
+  }
+
+  /**
+   * @returns {SearchDictionary} The store's misspellings and synonyms, parsed on first use.
+   */
+  #getDictionary() {
+    if (this.#dictionary) return this.#dictionary;
+
+    /** @type {import('@theme/search-dictionary').DictionarySource[]} */
+    let sources = [];
+
+    try {
+      sources = JSON.parse(this.refs.searchDictionary?.textContent || '[]');
+    } catch (error) {
+      console.error('Predictive search: Failed to parse search dictionary', error);
+    }
+
+    this.#dictionary = new SearchDictionary(...sources);
+    return this.#dictionary;
+  }
+
+  /**
+   * Show which query the results are for when the dictionary rewrote it, with the option to search for the
+   * query as typed instead.
+   * @param {string} typedQuery - The normalized query as typed
+   * @param {string} query - The query searched for
+   */
+  #renderRewriteNotice(typedQuery, query) {
+    const { rewriteNotice, rewriteText, rewriteButton } = this.refs;
+    if (!rewriteNotice) return;
+
+    const isRewritten = query !== typedQuery;
+    rewriteNotice.hidden = !isRewritten;
+    if (!isRewritten) return;
+
+    const textLabel = rewriteText?.dataset.label;
+    if (rewriteText && textLabel) rewriteText.textContent = textLabel.replace('[query]', query);
+
+    const buttonLabel = rewriteButton?.dataset.label;
+    if (rewriteButton && buttonLabel) rewriteButton.textContent = buttonLabel.replace('[query]', typedQuery);
+  }
+
+  /**
+   * Fetch the results of the popular searches once the search input is focused, one at a time when the browser
+   * is idle, so they show instantly when picked or typed.
+   */
+  #prefetchPopularQueries = () => {
+    if (this.#hasPrefetched || !this.dataset.sectionId) return;
+    this.#hasPrefetched = true;
+
+    const queries = this.#getPopularQueries()
+      .map((query) => SearchResultsCache.normalize(query))
+      .filter((query) => query && !searchResultsCache.get(query));
+
+    const prefetchNext = () => {
+      const query = queries.shift();
+      if (!query) return;
+
+      requestIdleCallback(() => {
+        const startMarker = searchPerformance.createStartingMarker('predictive-search:prefetch');
+
+        this.#fetchResults(query)
+          .then(() => searchPerformance.measureFromMarker(startMarker))
+          // A failed prefetch is fetched again when it's searched
+          .catch(() => {})
+          .finally(prefetchNext);
+      });
+    };
+
+    prefetchNext();
+  };
+
+  /**
+   * @returns {string[]} The popular searches set up for the store.
+   */
+  #getPopularQueries() {
+    try {
+      return JSON.parse(this.dataset.popularQueries || '[]');
+    } catch {
+      return [];
+    }
+  }
+
   /**
    * Fetch the markup for the recently viewed products.
    * @returns {Promise<string | null>} The markup for the recently viewed products.
@@ -382,7 +862,10 @@ class PredictiveSearchComponent extends Component {
 
     this.#currentIndex = -1;
     searchInput.value = '';
+    this.#originalQuery = '';
     this.#hideResetButton();
+    if (this.refs.rewriteNotice) this.refs.rewriteNotice.hidden = true;
+    if (this.refs.scopeNotice) this.refs.scopeNotice.hidden = true;
 
     const abortController = this.#createAbortController();
     const url = new URL(window.location.href);
@@ -413,14 +896,15 @@ class PredictiveSearchComponent extends Component {
         }
       }
 
+      // The empty state may not have a products list, in which case it still shows the recent searches
       const collectionElement = parsedEmptySectionMarkup.querySelector('#predictive-search-products');
-      if (!collectionElement) return;
-      collectionElement.prepend(...recentlyViewedProductsHtml.children);
+      collectionElement?.prepend(...recentlyViewedProductsHtml.children);
     }
 
     if (abortController.signal.aborted) return;
 
     morph(predictiveSearchResults, parsedEmptySectionMarkup);
+    this.#renderSearchHistory();
     this.#resetScrollPositions();
   };
 }
@@ -19,10 +19,12 @@ export class QuickAddComponent extends Component {
       this.closest('product-hotspot-component')
     );
     const productLink = productCard?.getProductCardLink() || hotspotProduct?.getHotspotProductLink();
+    // Outside of product cards and hotspots, e.g. in the predictive search results, use the product's own URL
+    const href = productLink?.href || this.dataset.productUrl;
 
-    if (!productLink?.href) return '';
+    if (!href) return '';
 
-    const url = new URL(productLink.href);
+    const url = new URL(href, window.location.origin);
 
     if (url.searchParams.has('variant')) {
       return url.toString();
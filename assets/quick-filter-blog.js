@@ -1,79 +1,254 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { debounce } from '@theme/utilities';
+
 /**
- * Quick Filter Blog
- * Filters blog post items based on custom.blog_category metafield values.
- * Uses index-based mapping since blog-post-item elements don't have data-article-id.
+ * @typedef {object} ArticleFilterData
+ * @property {string} category - The article's `custom.blog_category`.
+ * @property {string} text - The lowercased title and excerpt, for the search.
  */
 
-(function () {
-  'use strict';
+/**
+ * A custom element that filters the blog posts by the `custom.blog_category` metafield and by a search
+ * on their titles and excerpts. Several categories can be selected at once. The selection and the search
+ * are kept in the URL, so they survive back/forward navigation and shared links.
+ *
+ * Articles are matched by `data-article-id`, so posts loaded later by the paginated list are filtered
+ * as they come in.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} [allButton] - The button that clears the category selection.
+ * @property {HTMLButtonElement[]} [filterButtons] - The category buttons.
+ * @property {HTMLInputElement} [searchInput] - The search box.
+ * @property {HTMLScriptElement} [filterMap] - The JSON map of article IDs to their category and search text.
+ * @property {HTMLElement} [emptyState] - The message shown when no articles match.
+ * @property {HTMLElement} [status] - The live region announcing the number of matching articles.
+ *
+ * @extends {Component<Refs>}
+ */
+class QuickFilterBlogComponent extends Component {
+  static categoryParam = 'blog_category';
+  static searchParam = 'blog_search';
 
-  const SELECTORS = {
-    container: '.quick-filter-blog',
-    button: '.quick-filter-blog__button',
-    activeButton: '.quick-filter-blog__button--active',
-    jsonMap: '#quick-filter-blog-map',
-    blogItem: '.blog-post-item',
-  };
+  /**
+   * The category and search text of each article, keyed by article ID.
+   * @type {Record<string, ArticleFilterData>}
+   */
+  #articleFilterMap = {};
+
+  /**
+   * The selected categories.
+   * @type {Set<string>}
+   */
+  #selected = new Set();
+
+  /**
+   * The lowercased search query.
+   * @type {string}
+   */
+  #query = '';
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#articleFilterMap = this.#parseFilterMap();
+    this.#readUrlState();
+    this.#render();
+
+    window.addEventListener('popstate', this.#handlePopState);
+    document.addEventListener(ThemeEvents.paginatedListRender, this.#handlePageRender);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#handlePopState);
+    document.removeEventListener(ThemeEvents.paginatedListRender, this.#handlePageRender);
+  }
+
+  /**
+   * Selects or deselects the category of the clicked button.
+   * @param {Event} event - The click event.
+   */
+  toggleCategory(event) {
+    if (!(event.target instanceof HTMLElement)) return;
 
-  const CLASSES = {
-    active: 'quick-filter-blog__button--active',
-    hidden: 'quick-filter-blog-hidden',
+    const { filter } = event.target.dataset;
+    if (!filter) return;
+
+    if (this.#selected.has(filter)) {
+      this.#selected.delete(filter);
+    } else {
+      this.#selected.add(filter);
+    }
+
+    this.#writeUrlState();
+    this.#render();
+  }
+
+  /**
+   * Clears the category selection.
+   */
+  clearCategories() {
+    if (this.#selected.size === 0) return;
+
+    this.#selected.clear();
+    this.#writeUrlState();
+    this.#render();
+  }
+
+  /**
+   * Clears the category selection and the search.
+   */
+  clearFilters() {
+    this.#selected.clear();
+    this.#query = '';
+    if (this.refs.searchInput) this.refs.searchInput.value = '';
+
+    this.#writeUrlState();
+    this.#render();
+  }
+
+  /**
+   * Filters the articles by the search box as the user types.
+   */
+  search = debounce(() => {
+    this.#query = (this.refs.searchInput?.value ?? '').trim().toLowerCase();
+    this.#writeUrlState({ replace: true });
+    this.#render();
+  }, 200);
+
+  /**
+   * Restores the selection and the search when navigating through history.
+   */
+  #handlePopState = () => {
+    this.#readUrlState();
+    this.#render();
   };
 
-  function init() {
-    const container = document.querySelector(SELECTORS.container);
-    if (!container) return;
+  /**
+   * Filters the articles of a page rendered by the paginated list.
+   */
+  #handlePageRender = () => {
+    this.#render();
+  };
 
-    const mapElement = document.querySelector(SELECTORS.jsonMap);
-    if (!mapElement) return;
+  /**
+   * @returns {Record<string, ArticleFilterData>} The category and search text of each article, keyed by article ID.
+   */
+  #parseFilterMap() {
+    const { filterMap } = this.refs;
+    if (!filterMap) return {};
 
-    let articleFilterMap;
     try {
-      articleFilterMap = JSON.parse(mapElement.textContent);
-    } catch (e) {
-      console.error('Quick Filter Blog: Failed to parse article filter map', e);
-      return;
+      return JSON.parse(filterMap.textContent || '{}');
+    } catch (error) {
+      console.error('Quick Filter Blog: Failed to parse article filter map', error);
+      return {};
     }
+  }
+
+  /**
+   * Reads the selection and the search from the URL, ignoring categories that aren't on this page.
+   */
+  #readUrlState() {
+    const { categoryParam, searchParam } = QuickFilterBlogComponent;
+    const searchParams = new URLSearchParams(window.location.search);
+    const categories = new Set((this.refs.filterButtons ?? []).map((button) => button.dataset.filter));
 
-    const buttons = container.querySelectorAll(SELECTORS.button);
-    if (!buttons.length) return;
+    this.#selected = new Set(searchParams.getAll(categoryParam).filter((value) => categories.has(value)));
+    this.#query = (searchParams.get(searchParam) ?? '').trim().toLowerCase();
 
-    buttons.forEach((button) => {
-      button.addEventListener('click', () => {
-        handleFilterClick(button, buttons, articleFilterMap);
-      });
-    });
+    if (this.refs.searchInput) this.refs.searchInput.value = searchParams.get(searchParam) ?? '';
   }
 
-  function handleFilterClick(clickedButton, allButtons, articleFilterMap) {
-    // Update active state
-    allButtons.forEach((btn) => {
-      btn.classList.remove(CLASSES.active);
-      btn.setAttribute('aria-pressed', 'false');
-    });
-    clickedButton.classList.add(CLASSES.active);
-    clickedButton.setAttribute('aria-pressed', 'true');
-
-    const filterValue = clickedButton.dataset.filter;
-    const blogItems = document.querySelectorAll(SELECTORS.blogItem);
-
-    blogItems.forEach((item, index) => {
-      const articleCategory = articleFilterMap[index.toString()];
-
-      if (filterValue === 'all') {
-        item.classList.remove(CLASSES.hidden);
-      } else if (articleCategory === filterValue) {
-        item.classList.remove(CLASSES.hidden);
-      } else {
-        item.classList.add(CLASSES.hidden);
-      }
-    });
+  /**
+   * Writes the selection and the search to the URL.
+   * @param {object} [options]
+   * @param {boolean} [options.replace] - Replaces the current history entry instead of adding one, for typing.
+   */
+  #writeUrlState({ replace = false } = {}) {
+    const { categoryParam, searchParam } = QuickFilterBlogComponent;
+    const url = new URL(window.location.href);
+
+    url.searchParams.delete(categoryParam);
+    for (const value of this.#selected) {
+      url.searchParams.append(categoryParam, value);
+    }
+
+    const query = this.refs.searchInput?.value.trim() ?? '';
+    if (query) {
+      url.searchParams.set(searchParam, query);
+    } else {
+      url.searchParams.delete(searchParam);
+    }
+
+    if (url.toString() === window.location.href) return;
+
+    if (replace) {
+      history.replaceState(history.state, '', url.toString());
+    } else {
+      history.pushState({ blogCategory: Array.from(this.#selected) }, '', url.toString());
+    }
   }
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  /**
+   * Checks whether an article matches the selected categories and the search.
+   * @param {HTMLElement} item - The blog post item.
+   * @returns {boolean}
+   */
+  #matches(item) {
+    const data = this.#articleFilterMap[item.dataset.articleId ?? ''];
+
+    // Articles past the ones in the map carry their category, and are searched by their card's text
+    const category = data?.category ?? item.dataset.blogCategory ?? '';
+    const text = data?.text ?? (item.textContent ?? '').toLowerCase();
+
+    if (this.#selected.size > 0 && !this.#selected.has(category)) return false;
+    if (this.#query && !text.includes(this.#query)) return false;
+
+    return true;
   }
-})();
+
+  /**
+   * Updates the buttons, shows the matching articles and toggles the empty state.
+   */
+  #render() {
+    const { allButton, filterButtons = [], emptyState, status } = this.refs;
+    const hasSelection = this.#selected.size > 0;
+    const isFiltered = hasSelection || this.#query !== '';
+
+    if (allButton) {
+      allButton.classList.toggle('quick-filter-blog__button--active', !hasSelection);
+      allButton.setAttribute('aria-pressed', String(!hasSelection));
+    }
+
+    for (const button of filterButtons) {
+      const isSelected = this.#selected.has(button.dataset.filter ?? '');
+
+      button.classList.toggle('quick-filter-blog__button--active', isSelected);
+      button.setAttribute('aria-pressed', String(isSelected));
+    }
+
+    let visibleCount = 0;
+
+    for (const item of document.querySelectorAll('.blog-post-item')) {
+      if (!(item instanceof HTMLElement)) continue;
+
+      const isVisible = this.#matches(item);
+      item.classList.toggle('quick-filter-blog-hidden', !isVisible);
+      if (isVisible) visibleCount++;
+    }
+
+    if (emptyState) emptyState.hidden = visibleCount > 0;
+
+    const label = status?.dataset.labelResultsCount;
+    if (status && label) {
+      status.textContent = isFiltered ? label.replace('[count]', String(visibleCount)) : '';
+    }
+  }
+}
+
+if (!customElements.get('quick-filter-blog-component')) {
+  customElements.define('quick-filter-blog-component', QuickFilterBlogComponent);
+}
@@ -2,59 +2,81 @@
  * Quick Filter — Outlet Quality (dropdown)
  * Filters product grid items based on the custom.outlet_quality metafield.
  *
- * Uses its own hidden class (outlet-quality-hidden) so it doesn't conflict
- * with the category quick-filter which uses quick-filter-hidden.
- * Items are hidden by CSS if they have EITHER class.
+ * The chosen quality is a client facet (see client-facets.js): it's kept in the
+ * URL, shows up in the active filters and combines with the category quick filter
+ * and the storefront facets. Product cards carry their own quality, so pages
+ * rendered later by infinite scroll are filtered too.
+ *
+ * When the select has a data-param-name, the metafield is a storefront filter and
+ * the choice is applied through the facets instead, so unloaded pages are included too.
  */
 
-(function () {
-  'use strict';
-
-  const SELECTORS = {
-    select: '[data-outlet-filter-select]',
-    jsonMap: '#quick-filter-outlet-map',
-    productItem: '.product-grid__item',
-  };
-
-  // Own class — does not touch quick-filter-hidden
-  const HIDDEN_CLASS = 'outlet-quality-hidden';
+import { ThemeEvents } from '@theme/events';
+import { clientFacets } from '@theme/client-facets';
 
-  function init() {
-    const select = document.querySelector(SELECTORS.select);
-    if (!select) return;
+const SELECTORS = {
+  select: '[data-outlet-filter-select]',
+};
 
-    const mapElement = document.querySelector(SELECTORS.jsonMap);
-    if (!mapElement) return;
+const CLIENT_PARAM = 'outlet_quality';
 
-    let productFilterMap;
-    try {
-      productFilterMap = JSON.parse(mapElement.textContent);
-    } catch (e) {
-      return;
-    }
+function init() {
+  const select = /** @type {HTMLSelectElement | null} */ (document.querySelector(SELECTORS.select));
+  if (!select) return;
 
+  const paramName = select.dataset.paramName;
+  if (paramName) {
     select.addEventListener('change', function () {
-      const filterValue = select.value;
-      const productItems = document.querySelectorAll(SELECTORS.productItem);
-
-      productItems.forEach(function (item) {
-        const productId = item.dataset.productId;
-        const productQuality = productFilterMap[productId];
-
-        if (filterValue === 'all') {
-          item.classList.remove(HIDDEN_CLASS);
-        } else if (productQuality === filterValue) {
-          item.classList.remove(HIDDEN_CLASS);
-        } else {
-          item.classList.add(HIDDEN_CLASS);
-        }
-      });
+      applyServerFilter(paramName, select.value);
     });
+    return;
   }
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  clientFacets.register({
+    param: CLIENT_PARAM,
+    attribute: 'data-outlet-quality',
+    label: select.dataset.facetLabel || '',
+  });
+
+  // Keep the select in line with the URL, e.g. when the pill is removed or on back/forward
+  const syncSelect = function () {
+    const [value] = clientFacets.getValues(CLIENT_PARAM);
+    const hasOption = Array.from(select.options).some(function (option) {
+      return option.value === value;
+    });
+
+    select.value = value && hasOption ? value : 'all';
+  };
+
+  select.addEventListener('change', function () {
+    clientFacets.setValues(CLIENT_PARAM, select.value === 'all' ? [] : [select.value]);
+  });
+  document.addEventListener(ThemeEvents.FilterUpdate, syncSelect);
+  window.addEventListener('popstate', syncSelect);
+
+  syncSelect();
+}
+
+/**
+ * Re-render the results with the storefront filter param, through the
+ * facets form when there is one so the facets stay in sync.
+ * @param {string} paramName - The storefront filter param, e.g. `filter.p.m.custom.outlet_quality`.
+ * @param {string} filterValue - The chosen quality, or 'all'.
+ */
+function applyServerFilter(paramName, filterValue) {
+  const url = new URL(window.location.href);
+
+  url.searchParams.delete(paramName);
+  url.searchParams.delete('page');
+  if (filterValue !== 'all') {
+    url.searchParams.append(paramName, filterValue);
   }
-})();
+
+  clientFacets.navigate(url.toString());
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
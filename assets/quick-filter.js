@@ -1,76 +1,361 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { clientFacets } from '@theme/client-facets';
+import { sectionRenderer, normalizeSectionId } from '@theme/section-renderer';
+
 /**
- * Quick Filter
- * Filters product grid items based on custom.filter_group metafield values.
- * Uses a JSON map embedded in the page to avoid modifying existing templates.
+ * A custom element that filters the product grid by the `custom.filter_group` metafield.
+ * Several groups can be selected at once. The selection is a client facet (see `client-facets.js`), so it's
+ * kept in the URL, shows up in the active filters and combines with the storefront facets.
+ *
+ * When the metafield is a storefront filter (`data-server-side`), the selection is applied through the
+ * facets instead, so products on pages that haven't loaded are included too.
+ *
+ * Each button shows how many products it matches with the other filters applied. Buttons that match
+ * nothing are disabled or hidden (`data-empty-behavior`).
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} allButton - The button that clears the selection.
+ * @property {HTMLButtonElement[]} [filterButtons] - The filter group buttons.
+ * @property {HTMLElement[]} [filterCounts] - The product count of each filter group button.
+ * @property {HTMLScriptElement} [filterMap] - The JSON map of product IDs to filter groups, for the counts.
+ * @property {HTMLElement} [emptyState] - The message shown when no products match.
+ * @property {HTMLElement} [status] - The live region announcing the number of matching products.
+ * @property {HTMLElement} [countsStatus] - The live region announcing changed filter group counts.
+ *
+ * @extends {Component<Refs>}
  */
+class QuickFilterComponent extends Component {
+  requiredRefs = ['allButton'];
+
+  /**
+   * The filter group of each product, keyed by product ID.
+   * @type {Record<string, string>}
+   */
+  #productFilterMap = {};
+
+  /**
+   * The selected filter groups.
+   * @type {Set<string>}
+   */
+  #selected = new Set();
+
+  /**
+   * Whether the counts have been rendered once, after which changes are announced.
+   * @type {boolean}
+   */
+  #hasRenderedCounts = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#productFilterMap = this.#parseFilterMap();
+
+    if (!this.isServerSide) {
+      clientFacets.register({
+        param: this.paramName,
+        attribute: 'data-filter-group',
+        label: this.dataset.facetLabel ?? '',
+      });
+    }
+
+    this.#selected = this.#readUrlState();
+
+    this.#render();
+    // Server counts come with the markup until the facets change
+    if (!this.isServerSide) this.#updateCounts();
+
+    window.addEventListener('popstate', this.#handlePopState);
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handlePopState);
+    document.addEventListener(ThemeEvents.filterRender, this.#handleFilterRender);
+    document.addEventListener(ThemeEvents.paginatedListRender, this.#handlePageRender);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#handlePopState);
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#handlePopState);
+    document.removeEventListener(ThemeEvents.filterRender, this.#handleFilterRender);
+    document.removeEventListener(ThemeEvents.paginatedListRender, this.#handlePageRender);
+  }
+
+  /**
+   * The URL param that holds the selected filter groups.
+   * @returns {string}
+   */
+  get paramName() {
+    return this.dataset.paramName || 'quick_filter';
+  }
+
+  /**
+   * Whether the filter groups are a storefront filter, applied by the server.
+   * @returns {boolean}
+   */
+  get isServerSide() {
+    return this.hasAttribute('data-server-side');
+  }
+
+  /**
+   * What happens to the buttons of filter groups that match no products.
+   * @returns {'disable' | 'hide' | 'show'}
+   */
+  get emptyBehavior() {
+    const { emptyBehavior } = this.dataset;
+    return emptyBehavior === 'hide' || emptyBehavior === 'show' ? emptyBehavior : 'disable';
+  }
+
+  /**
+   * Selects or deselects the filter group of the clicked button.
+   * @param {Event} event - The click event.
+   */
+  toggleFilter(event) {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    const { filter } = event.target.dataset;
+    if (!filter) return;
 
-(function () {
-  'use strict';
+    if (this.#selected.has(filter)) {
+      this.#selected.delete(filter);
+    } else {
+      this.#selected.add(filter);
+    }
+
+    this.#update();
+  }
+
+  /**
+   * Clears the selection and shows all products.
+   */
+  clearFilters() {
+    if (this.#selected.size === 0) return;
+
+    this.#selected.clear();
+    this.#update();
+  }
+
+  /**
+   * Saves the selection to the URL and re-renders.
+   */
+  #update() {
+    if (this.isServerSide) {
+      this.#applyServerFilter();
+    } else {
+      clientFacets.setValues(this.paramName, Array.from(this.#selected));
+    }
 
-  const SELECTORS = {
-    container: '.quick-filter',
-    button: '.quick-filter__button',
-    activeButton: '.quick-filter__button--active',
-    jsonMap: '#quick-filter-map',
-    productItem: '.product-grid__item',
+    this.#render();
+  }
+
+  /**
+   * Restores the selection when navigating through history, or when the facets change the URL.
+   */
+  #handlePopState = () => {
+    this.#selected = this.#readUrlState();
+    this.#render();
+    if (!this.isServerSide) this.#updateCounts();
   };
 
-  const CLASSES = {
-    active: 'quick-filter__button--active',
-    hidden: 'quick-filter-hidden',
+  /**
+   * Updates the counts once the results of the storefront facets have rendered.
+   */
+  #handleFilterRender = () => {
+    this.#updateCounts();
+  };
+
+  /**
+   * Updates the empty state, the results count and the counts when infinite scroll renders a page.
+   */
+  #handlePageRender = () => {
+    if (this.isServerSide) return;
+
+    this.#render();
+    this.#updateCounts();
   };
 
-  function init() {
-    const container = document.querySelector(SELECTORS.container);
-    if (!container) return;
+  /**
+   * Re-renders the results with the selection as storefront filter params.
+   * Goes through the facets form when there is one, so the facets stay in sync.
+   */
+  #applyServerFilter() {
+    const url = new URL(window.location.href);
 
-    const mapElement = document.querySelector(SELECTORS.jsonMap);
-    if (!mapElement) return;
+    url.searchParams.delete(this.paramName);
+    url.searchParams.delete('page');
+    for (const value of this.#selected) {
+      url.searchParams.append(this.paramName, value);
+    }
+
+    const facetsForm = /** @type {any} */ (document.querySelector('facets-form-component'));
+
+    if (typeof facetsForm?.updateFiltersByURL === 'function') {
+      facetsForm.updateFiltersByURL(url.toString());
+    } else {
+      window.location.assign(url.toString());
+    }
+  }
+
+  /**
+   * @returns {Record<string, string>} The filter group of each product, keyed by product ID.
+   */
+  #parseFilterMap() {
+    const { filterMap } = this.refs;
+    if (!filterMap) return {};
 
-    let productFilterMap;
     try {
-      productFilterMap = JSON.parse(mapElement.textContent);
-    } catch (e) {
-      console.error('Quick Filter: Failed to parse product filter map', e);
-      return;
+      return JSON.parse(filterMap.textContent || '{}');
+    } catch (error) {
+      console.error('Quick Filter: Failed to parse product filter map', error);
+      return {};
     }
+  }
 
-    const buttons = container.querySelectorAll(SELECTORS.button);
-    if (!buttons.length) return;
+  /**
+   * Reads the selection from the URL, ignoring groups that aren't on this page.
+   * @returns {Set<string>} The selected filter groups.
+   */
+  #readUrlState() {
+    const groups = new Set((this.refs.filterButtons ?? []).map((button) => button.dataset.filter));
+    const values = new URLSearchParams(window.location.search).getAll(this.paramName);
 
-    buttons.forEach((button) => {
-      button.addEventListener('click', () => {
-        handleFilterClick(button, buttons, productFilterMap);
-      });
-    });
+    return new Set(values.filter((value) => groups.has(value)));
   }
 
-  function handleFilterClick(clickedButton, allButtons, productFilterMap) {
-    // Update active state
-    allButtons.forEach((btn) => btn.classList.remove(CLASSES.active));
-    clickedButton.classList.add(CLASSES.active);
+  /**
+   * Counts the products in each filter group with the current facets applied, and renders them.
+   */
+  async #updateCounts() {
+    const counts = this.isServerSide ? await this.#fetchServerCounts() : this.#getClientCounts();
+    if (counts) this.#renderCounts(counts);
+  }
 
-    const filterValue = clickedButton.dataset.filter;
-    const productItems = document.querySelectorAll(SELECTORS.productItem);
+  /**
+   * Counts the loaded products in each filter group. The grid only holds the products the storefront
+   * facets match, and the products the other client facets hide are left out.
+   * @returns {Record<string, number>} The number of products, keyed by filter group.
+   */
+  #getClientCounts() {
+    /** @type {Record<string, number>} */
+    const counts = {};
 
-    productItems.forEach((item) => {
-      const productId = item.dataset.productId;
-      const productFilterGroup = productFilterMap[productId];
+    for (const button of this.refs.filterButtons ?? []) {
+      counts[button.dataset.filter ?? ''] = 0;
+    }
+
+    for (const item of document.querySelectorAll(clientFacets.itemSelector)) {
+      if (!(item instanceof HTMLElement) || !clientFacets.isVisible(item, this.paramName)) continue;
+
+      const group = item.dataset.filterGroup || this.#productFilterMap[item.dataset.productId ?? ''];
+      if (group !== undefined && group in counts) counts[group] = (counts[group] ?? 0) + 1;
+    }
+
+    return counts;
+  }
 
-      if (filterValue === 'all') {
-        item.classList.remove(CLASSES.hidden);
-      } else if (productFilterGroup === filterValue) {
-        item.classList.remove(CLASSES.hidden);
-      } else {
-        item.classList.add(CLASSES.hidden);
+  /**
+   * Gets the storefront filter's counts for the current facets, from a render of this block's section.
+   * @returns {Promise<Record<string, number> | null>} The number of products keyed by filter group, or null if
+   * they couldn't be fetched.
+   */
+  async #fetchServerCounts() {
+    const section = this.closest('.shopify-section');
+    if (!section || !this.id) return null;
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(normalizeSectionId(section.id));
+      const parsedDocument = new DOMParser().parseFromString(html, 'text/html');
+      const countElements = parsedDocument.querySelectorAll(`#${CSS.escape(this.id)} [ref="filterCounts[]"]`);
+
+      /** @type {Record<string, number>} */
+      const counts = {};
+
+      for (const count of countElements) {
+        if (!(count instanceof HTMLElement)) continue;
+        counts[count.dataset.filter ?? ''] = Number(count.textContent) || 0;
       }
-    });
+
+      return counts;
+    } catch (error) {
+      console.error('Quick Filter: Failed to fetch filter counts', error);
+      return null;
+    }
   }
 
-  // Initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+  /**
+   * Fills in the number of products in each filter group, disables or hides the groups without products
+   * and announces the counts when they change.
+   * @param {Record<string, number>} counts - The number of products, keyed by filter group.
+   */
+  #renderCounts(counts) {
+    const { filterCounts = [], filterButtons = [], countsStatus } = this.refs;
+    let hasChanged = false;
+
+    for (const count of filterCounts) {
+      const value = String(counts[count.dataset.filter ?? ''] ?? 0);
+      if (count.textContent !== value) hasChanged = true;
+
+      count.textContent = value;
+    }
+
+    for (const button of filterButtons) {
+      const filter = button.dataset.filter ?? '';
+      // Keep selected groups reachable, so they can still be deselected
+      const isEmpty = (counts[filter] ?? 0) === 0 && !this.#selected.has(filter);
+
+      button.disabled = isEmpty && this.emptyBehavior === 'disable';
+      button.hidden = isEmpty && this.emptyBehavior === 'hide';
+    }
+
+    const label = countsStatus?.dataset.labelCountsUpdated;
+    if (countsStatus && label && hasChanged && this.#hasRenderedCounts) {
+      const summary = filterButtons
+        .filter((button) => !button.hidden)
+        .map(({ dataset }) => `${dataset.label ?? dataset.filter}: ${counts[dataset.filter ?? ''] ?? 0}`)
+        .join(', ');
+
+      countsStatus.textContent = label.replace('[counts]', summary);
+    }
+
+    this.#hasRenderedCounts = true;
+  }
+
+  /**
+   * Updates the buttons, the empty state and the results count. The products themselves are hidden by the
+   * client facets.
+   */
+  #render() {
+    const { allButton, filterButtons = [], emptyState, status } = this.refs;
+    const hasSelection = this.#selected.size > 0;
+
+    allButton.classList.toggle('quick-filter__button--active', !hasSelection);
+    allButton.setAttribute('aria-pressed', String(!hasSelection));
+
+    for (const button of filterButtons) {
+      const isSelected = this.#selected.has(button.dataset.filter ?? '');
+
+      button.classList.toggle('quick-filter__button--active', isSelected);
+      button.setAttribute('aria-pressed', String(isSelected));
+    }
+
+    // The server already left out the products that don't match
+    if (this.isServerSide) {
+      if (emptyState) emptyState.hidden = true;
+      return;
+    }
+
+    // Count the products every client facet still shows
+    const items = /** @type {HTMLElement[]} */ (Array.from(document.querySelectorAll(clientFacets.itemSelector)));
+    const visibleCount = items.filter((item) => clientFacets.isVisible(item)).length;
+
+    if (emptyState) emptyState.hidden = visibleCount > 0;
+
+    const label = status?.dataset.labelResultsCount;
+    if (status && label) {
+      status.textContent = hasSelection ? label.replace('[count]', String(visibleCount)) : '';
+    }
   }
-})();
+}
+
+if (!customElements.get('quick-filter-component')) {
+  customElements.define('quick-filter-component', QuickFilterComponent);
+}
@@ -0,0 +1,172 @@
+/**
+ * @typedef {string | Record<string, string | string[]> | null} DictionarySource
+ */
+
+/**
+ * A dictionary of misspellings and synonyms that rewrites search queries to the terms the store uses.
+ *
+ * Each line of the source maps one or more terms to the term to search for instead:
+ *
+ * ```
+ * bino => binocular
+ * harnes, harnis => harness
+ * mag pouch => magazine pouch
+ * ```
+ *
+ * A source can also be an object, or its JSON, of terms keyed by the term to search for instead, e.g. from a
+ * JSON metafield: `{ "harness": ["harnes", "harnis"] }`.
+ *
+ * Words that aren't in the dictionary, but are one typo away from a term to search for, are corrected too.
+ */
+export class SearchDictionary {
+  /** @static @constant {number} The minimum length of a word to correct typos in */
+  static #MIN_TYPO_LENGTH = 5;
+
+  /**
+   * The term to search for, keyed by each of its misspellings or synonyms.
+   * @type {Map<string, string>}
+   */
+  #rewrites = new Map();
+
+  /**
+   * The single word terms to search for, to correct typos against.
+   * @type {Set<string>}
+   */
+  #words = new Set();
+
+  /**
+   * The number of words in the longest term, to limit phrase lookups.
+   * @type {number}
+   */
+  #maxTermLength = 1;
+
+  /**
+   * @param {...DictionarySource} sources - The dictionaries to combine. Later ones win for the same term.
+   */
+  constructor(...sources) {
+    for (const [terms, replacement] of sources.flatMap((source) => SearchDictionary.#parse(source))) {
+      const normalizedReplacement = SearchDictionary.#normalize(replacement);
+      if (!normalizedReplacement) continue;
+
+      for (const word of normalizedReplacement.split(' ')) this.#words.add(word);
+
+      for (const term of terms) {
+        const normalizedTerm = SearchDictionary.#normalize(term);
+        if (!normalizedTerm || normalizedTerm === normalizedReplacement) continue;
+
+        this.#rewrites.set(normalizedTerm, normalizedReplacement);
+        this.#maxTermLength = Math.max(this.#maxTermLength, normalizedTerm.split(' ').length);
+      }
+    }
+  }
+
+  /**
+   * Rewrites the misspellings and synonyms in a query. Longer phrases win over the words in them.
+   * @param {string} query - The query.
+   * @returns {string} The rewritten query, or the normalized query if there was nothing to rewrite.
+   */
+  rewrite(query) {
+    const words = SearchDictionary.#normalize(query).split(' ').filter(Boolean);
+    const rewritten = [];
+
+    for (let index = 0; index < words.length; ) {
+      let length = Math.min(this.#maxTermLength, words.length - index);
+      let replacement;
+
+      for (; length > 0; length--) {
+        replacement = this.#rewrites.get(words.slice(index, index + length).join(' '));
+        if (replacement) break;
+      }
+
+      if (replacement) {
+        rewritten.push(replacement);
+        index += length;
+      } else {
+        rewritten.push(this.#correctTypo(words[index] ?? ''));
+        index++;
+      }
+    }
+
+    return rewritten.join(' ');
+  }
+
+  /**
+   * @param {string} word - A word that isn't in the dictionary.
+   * @returns {string} The term one typo away from the word, or the word itself.
+   */
+  #correctTypo(word) {
+    if (word.length < SearchDictionary.#MIN_TYPO_LENGTH || this.#words.has(word)) return word;
+
+    for (const term of this.#words) {
+      if (SearchDictionary.#isOneEditAway(word, term)) return term;
+    }
+
+    return word;
+  }
+
+  /**
+   * @param {DictionarySource} source - The dictionary, as lines, as JSON or as an object.
+   * @returns {[string[], string][]} The terms and the term to search for instead.
+   */
+  static #parse(source) {
+    if (!source) return [];
+
+    if (typeof source === 'object') {
+      return Object.entries(source).map(([replacement, terms]) => [[terms].flat().map(String), replacement]);
+    }
+
+    const trimmedSource = source.trim();
+    if (!trimmedSource) return [];
+
+    if (trimmedSource.startsWith('{')) {
+      try {
+        return SearchDictionary.#parse(JSON.parse(trimmedSource));
+      } catch (error) {
+        console.error('Search dictionary: Failed to parse JSON', error);
+        return [];
+      }
+    }
+
+    return trimmedSource
+      .split('\n')
+      .map((line) => line.split('=>'))
+      .filter((parts) => parts.length === 2)
+      .map(([terms = '', replacement = '']) => [terms.split(','), replacement]);
+  }
+
+  /**
+   * @param {string} text - The text to normalize.
+   * @returns {string} The lowercased text with single spaces.
+   */
+  static #normalize(text) {
+    return text.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Checks whether two words are one insertion, deletion, substitution or transposition apart.
+   * @param {string} a - A word.
+   * @param {string} b - Another word.
+   * @returns {boolean}
+   */
+  static #isOneEditAway(a, b) {
+    if (Math.abs(a.length - b.length) > 1 || a === b) return false;
+
+    let start = 0;
+    while (start < a.length && a[start] === b[start]) start++;
+
+    let endA = a.length - 1;
+    let endB = b.length - 1;
+    while (endA >= start && endB >= start && a[endA] === b[endB]) {
+      endA--;
+      endB--;
+    }
+
+    // What's left after the common prefix and suffix must be a single edit
+    const restA = a.slice(start, endA + 1);
+    const restB = b.slice(start, endB + 1);
+
+    if (restA.length <= 1 && restB.length <= 1) return true;
+
+    return restA.length === 2 && restB.length === 2 && restA[0] === restB[1] && restA[1] === restB[0];
+  }
+}
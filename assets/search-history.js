@@ -0,0 +1,63 @@
+/**
+ * Updates the customer's recent searches in localStorage.
+ * Storage errors, e.g. a full or blocked storage, are ignored so they never get in the way of searching.
+ */
+export class SearchHistory {
+  /** @static @constant {string} The key used to store the searches in local storage */
+  static #STORAGE_KEY = 'searchHistory';
+  /** @static @constant {number} The maximum number of searches to store */
+  static #MAX_QUERIES = 5;
+
+  /**
+   * Adds a search to the top of the recent searches, replacing the same search in another casing.
+   * @param {string} query - The search query.
+   */
+  static addQuery(query) {
+    const trimmedQuery = query.trim();
+    if (!trimmedQuery) return;
+
+    const queries = this.getQueries().filter((saved) => saved.toLowerCase() !== trimmedQuery.toLowerCase());
+    queries.unshift(trimmedQuery);
+
+    this.#setQueries(queries.slice(0, this.#MAX_QUERIES));
+  }
+
+  /**
+   * @param {string} query - The search query to remove.
+   */
+  static removeQuery(query) {
+    this.#setQueries(this.getQueries().filter((saved) => saved !== query));
+  }
+
+  static clearQueries() {
+    try {
+      localStorage.removeItem(this.#STORAGE_KEY);
+    } catch {
+      // Storage is blocked
+    }
+  }
+
+  /**
+   * Retrieves the recent searches, most recent first.
+   * @returns {string[]} The recent searches.
+   */
+  static getQueries() {
+    try {
+      const queries = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+      return Array.isArray(queries) ? queries.filter((query) => typeof query === 'string') : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string[]} queries - The recent searches to store, most recent first.
+   */
+  static #setQueries(queries) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(queries));
+    } catch {
+      // Storage is full or blocked
+    }
+  }
+}
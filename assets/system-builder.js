@@ -2,21 +2,351 @@
  * System Builder Web Component — Harness Configurator
  * A simplified product configurator for harness models and accessories.
  */
+
+import { formatCurrency } from '@theme/utilities';
+import { cartService } from '@theme/cart-service';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/**
+ * @typedef {import('./cart-service').CartItemInput} CartItemInput
+ * @typedef {import('./cart-service').RejectedCartItem} RejectedCartItem
+ */
+
+/**
+ * @typedef {object} BuilderVariant
+ * @property {number} id - The variant ID
+ * @property {string} [title] - The variant title
+ * @property {number} price - The price in cents
+ * @property {string} [productTitle] - The product title
+ * @property {string} [productHandle] - The product handle
+ * @property {string | { src: string } | null} [image] - The variant image, or the product's featured image
+ * @property {boolean} [available] - Whether the variant can be ordered
+ * @property {string | null} [inventoryManagement] - The inventory tracker, null when stock isn't tracked
+ * @property {string} [inventoryPolicy] - 'continue' when the variant can be ordered out of stock
+ * @property {number} [inventoryQuantity] - The stock
+ */
+
+/**
+ * @typedef {BuilderVariant & { productType: string, quantity: number }} SelectedProduct
+ */
+
+/**
+ * @typedef {object} HarnessType
+ * @property {string[]} [modelHandles] - The harness models the type is linked to
+ * @property {string | null} [previewLayer] - The image of the harness in the build preview
+ * @property {BuilderVariant[]} [variants] - The harness products
+ */
+
+/**
+ * @typedef {object} HarnessAccessory
+ * @property {string} handle - The accessory handle
+ * @property {string} [name] - The accessory name
+ * @property {string[]} [modelHandles] - The harness models the accessory applies to, all of them when empty
+ * @property {string[]} [requires] - The accessory handles that must also be in the build
+ * @property {string[]} [excludes] - The accessory handles that can't be combined with this one
+ * @property {number | null} [maxPerHarness] - The maximum quantity per harness
+ * @property {string | null} [mountSlot] - The mount the accessory competes for with others in the same slot
+ * @property {{ layer: string, x: number, y: number, width: number, z: number } | null} [preview] - The image of
+ *   the accessory in the build preview, positioned in percentages of the preview
+ * @property {BuilderVariant[]} [variants] - The accessory products
+ */
+
+/**
+ * @typedef {object} BuilderData
+ * @property {{ handle: string, name: string }[]} harnessModels - The harness model chips
+ * @property {HarnessType[]} harnessTypes - The harness products linked to the models
+ * @property {HarnessAccessory[]} harnessAccessories - The accessories mounted on a harness
+ * @property {BuilderVariant[]} accessories - The accessories from the section blocks
+ */
+
+/**
+ * @typedef {object} BuildItem
+ * @property {string} id - The variant ID
+ * @property {string} [productType] - 'harness-model', 'harness-accessory' or 'accessory'
+ * @property {number} quantity - The quantity
+ */
+
+/**
+ * @typedef {object} BuildState
+ * @property {string | null} model - The harness model handle
+ * @property {string[]} accessories - The accessory chip handles
+ * @property {BuildItem[]} items - The selected products
+ */
+
+/**
+ * @typedef {BuildState & { id: string, name: string, savedAt: string }} SavedBuild
+ */
+
+/**
+ * @typedef {object} PreviewLayer
+ * @property {string} src - The image URL
+ * @property {string} name - The product or accessory name
+ * @property {number} x - The left offset, in percent of the preview width
+ * @property {number} y - The top offset, in percent of the preview height
+ * @property {number} width - The width, in percent of the preview width
+ * @property {number} z - The stacking order
+ */
+
+/**
+ * @typedef {object} DiscountTier
+ * @property {number} minAccessories - The number of harness accessories that unlocks the tier
+ * @property {number} amount - The discount in the customer's currency, e.g. 20 for $20.00
+ * @property {boolean} freeShipping - Whether the tier unlocks free shipping
+ * @property {string | null} discountCode - The discount code applied at checkout
+ * @property {string | null} label - The label shown in the summary instead of the default one
+ */
+
+/**
+ * @typedef {object} BundleDiscountConfig
+ * @property {boolean} enabled - Whether any tier is configured
+ * @property {DiscountTier[]} tiers - The tiers, sorted by minAccessories, ascending
+ */
+
+/**
+ * @typedef {object} BuildTotals
+ * @property {number} subtotal - The subtotal in cents
+ * @property {number} itemCount - The total quantity
+ * @property {number} harnessModelCount - The quantity of harnesses
+ * @property {number} accessoryCount - The quantity of harness accessories
+ * @property {boolean} discountApplies - Whether the build qualifies for a tier
+ * @property {number} discountCents - The discount in cents
+ * @property {boolean} freeShipping - Whether the build ships free
+ * @property {DiscountTier | null} tier - The best tier the build qualifies for
+ * @property {DiscountTier | null} nextTier - The next tier the build could unlock
+ * @property {number} total - The total in cents
+ */
+
+/**
+ * @typedef {object} CompatibilityRule
+ * @property {string} name - The accessory name
+ * @property {string[]} requires - The accessory handles that must also be in the build
+ * @property {string[]} excludes - The accessory handles that can't be combined with this one
+ * @property {number} maxPerHarness - The maximum quantity per harness, 0 for no limit
+ * @property {string | null} mountSlot - The mount slot
+ * @property {string[]} variantIds - The variant IDs of the accessory
+ */
+
+/**
+ * @typedef {object} RuleViolation
+ * @property {string} key - Identifies the violation, the same for both sides of an exclude
+ * @property {'requires' | 'excludes' | 'max' | 'slot'} type - The rule that is broken
+ * @property {string} handle - The accessory handle to blame
+ * @property {string} message - The message to show
+ */
+
+/**
+ * @typedef {Record<string, string | { one: string, other: string }>} Translations
+ */
+
+/**
+ * @typedef {(key: string, variables?: Record<string, string | number>) => string} Translate
+ */
+
+/**
+ * Join names as a list in the storefront language, e.g. "A, B and C"
+ * @param {string[]} items - The names
+ * @returns {string}
+ */
+function formatList(items) {
+  try {
+    return new Intl.ListFormat(document.documentElement.lang || undefined, { type: 'conjunction' }).format(items);
+  } catch (e) {
+    return items.join(', ');
+  }
+}
+
+/**
+ * Harness Compatibility Rules
+ * Declarative accessory constraints read from the harness_accessory metaobject data:
+ * - requires: accessory handles that must also be in the build
+ * - excludes: accessory handles that can't be combined with this one
+ * - maxPerHarness: maximum quantity of this accessory per harness
+ * - mountSlot: accessories sharing a slot compete for one mount per harness
+ */
+class HarnessCompatibilityRules {
+  /**
+   * @param {HarnessAccessory[]} harnessAccessories - The harness accessories and their rules
+   * @param {Translate} translate - Builds violation messages from translation keys
+   */
+  constructor(harnessAccessories, translate) {
+    // Builds violation messages from translation keys
+    this.translate = translate;
+
+    // Rules keyed by accessory handle
+    /** @type {Map<string, CompatibilityRule>} */
+    this.rules = new Map();
+
+    // Accessory handle keyed by variant ID
+    /** @type {Map<string, string>} */
+    this.handleByVariantId = new Map();
+
+    harnessAccessories.forEach(accessory => {
+      if (!accessory?.handle) return;
+
+      this.rules.set(accessory.handle, {
+        name: accessory.name || accessory.handle,
+        requires: Array.isArray(accessory.requires) ? accessory.requires : [],
+        excludes: Array.isArray(accessory.excludes) ? accessory.excludes : [],
+        maxPerHarness: Number(accessory.maxPerHarness) || 0,
+        mountSlot: accessory.mountSlot || null,
+        variantIds: (accessory.variants || []).map(v => String(v.id))
+      });
+
+      (accessory.variants || []).forEach(v => this.handleByVariantId.set(String(v.id), accessory.handle));
+    });
+  }
+
+  /**
+   * Get the display name for an accessory handle
+   * @param {string} handle - The accessory handle
+   * @returns {string}
+   */
+  getName(handle) {
+    return this.rules.get(handle)?.name || handle;
+  }
+
+  /**
+   * Get the variant IDs that belong to an accessory handle
+   * @param {string} handle - The accessory handle
+   * @returns {string[]}
+   */
+  getVariantIds(handle) {
+    return this.rules.get(handle)?.variantIds || [];
+  }
+
+  /**
+   * Validate a set of products keyed by variant ID.
+   * Returns a list of violations: { key, type, handle, message }
+   * @param {Record<string, SelectedProduct>} products - The products
+   * @returns {RuleViolation[]}
+   */
+  validate(products) {
+    /** @type {RuleViolation[]} */
+    const violations = [];
+    /** @type {Map<string, number>} */
+    const quantities = new Map();
+    let harnessCount = 0;
+
+    Object.entries(products).forEach(([variantId, product]) => {
+      const qty = product?.quantity || 1;
+      if (product?.productType === 'harness-model') harnessCount += qty;
+      if (product?.productType !== 'harness-accessory') return;
+
+      const handle = this.handleByVariantId.get(String(variantId));
+      if (handle) quantities.set(handle, (quantities.get(handle) || 0) + qty);
+    });
+
+    // Limits scale with the number of harnesses, but always allow one harness worth
+    const harnessMultiplier = Math.max(1, harnessCount);
+    /** @type {Map<string, { handles: string[], quantity: number }>} */
+    const slotUsage = new Map();
+
+    quantities.forEach((qty, handle) => {
+      const rule = this.rules.get(handle);
+      if (!rule) return;
+
+      rule.requires.forEach(requiredHandle => {
+        if (quantities.has(requiredHandle)) return;
+        violations.push({
+          key: `requires:${handle}:${requiredHandle}`,
+          type: 'requires',
+          handle,
+          message: this.translate('rule_requires', { accessory: rule.name, required: this.getName(requiredHandle) })
+        });
+      });
+
+      rule.excludes.forEach(excludedHandle => {
+        if (!quantities.has(excludedHandle)) return;
+        violations.push({
+          key: `excludes:${[handle, excludedHandle].sort().join(':')}`,
+          type: 'excludes',
+          handle,
+          message: this.translate('rule_excludes', { accessory: rule.name, excluded: this.getName(excludedHandle) })
+        });
+      });
+
+      if (rule.maxPerHarness > 0 && qty > rule.maxPerHarness * harnessMultiplier) {
+        violations.push({
+          key: `max:${handle}`,
+          type: 'max',
+          handle,
+          message: this.translate('rule_max_per_harness', { count: rule.maxPerHarness, accessory: rule.name })
+        });
+      }
+
+      if (rule.mountSlot) {
+        const usage = slotUsage.get(rule.mountSlot) || { handles: [], quantity: 0 };
+        usage.handles.push(handle);
+        usage.quantity += qty;
+        slotUsage.set(rule.mountSlot, usage);
+      }
+    });
+
+    slotUsage.forEach((usage, slot) => {
+      if (usage.quantity <= harnessMultiplier) return;
+
+      const names = usage.handles.map(handle => this.getName(handle));
+      const [lastHandle = ''] = usage.handles.slice(-1);
+      violations.push({
+        key: `slot:${slot}`,
+        type: 'slot',
+        handle: lastHandle,
+        message: usage.handles.length > 1
+          ? this.translate('rule_shared_mount', { accessories: formatList(names), slot })
+          : this.translate('rule_single_mount', { accessory: this.getName(lastHandle), slot })
+      });
+    });
+
+    // Excludes are declared on either side — report each pair once
+    return violations.filter((v, index) => violations.findIndex(other => other.key === v.key) === index);
+  }
+}
+
 class SystemBuilder extends HTMLElement {
+  // URL params used to encode a shareable build
+  static urlParams = {
+    model: 'build_model',
+    accessories: 'build_accessories',
+    items: 'build_items'
+  };
+
+  // localStorage key for named saved builds
+  static savedBuildsStorageKey = 'systemBuilderSavedBuilds';
+
+  // Tracked variants at or below this quantity show "Only N left"
+  static lowStockThreshold = 5;
+
+  // Line item property on backordered items; the key is fixed so fulfilment can find it in every locale
+  static backorderPropertyName = 'Backorder';
+
+  // Width in pixels of exported preview images
+  static previewExportSize = 1200;
+
+  // Wizard steps in order; matches the data-wizard-panel / data-wizard-step-button values
+  /** @type {[string, ...string[]]} */
+  static wizardSteps = ['model', 'harness', 'accessories', 'review'];
+
   constructor() {
     super();
 
     // Track selected harness model handle (single-select)
+    /** @type {string | null} */
     this.activeHarnessModel = null;
 
     // Track active accessory chip handles
+    /** @type {Set<string>} */
     this.activeAccessories = new Set();
 
     // Track which products are selected for cart (keyed by variant ID)
     // Format: { variantId: { id, title, price, image, productTitle, productType, available, quantity } }
+    /** @type {Record<string, SelectedProduct>} */
     this.selectedProducts = {};
 
+    // Compatibility rules, rebuilt once the accessory data is loaded
+    this.rules = new HarnessCompatibilityRules([], (key, variables) => this.t(key, variables));
+
     // Data storage
+    /** @type {BuilderData} */
     this.data = {
       harnessModels: [],    // chip labels only
       harnessTypes: [],     // products linked to models
@@ -24,52 +354,176 @@ class SystemBuilder extends HTMLElement {
       accessories: []       // block accessories
     };
 
-    // Bundle discount config (read from data attributes)
+    // IDs of the two saved builds being compared (oldest first)
+    /** @type {string[]} */
+    this.compareBuildIds = [];
+
+    // Bundle discount config (read from embedded JSON / data attributes)
+    // Tier format: { minAccessories, amount (in dollars), freeShipping, discountCode, label }
+    /** @type {BundleDiscountConfig} */
     this.bundleDiscount = {
       enabled: false,
-      amount: 0,          // in dollars
-      minAccessories: 2,
-      discountCode: null
+      tiers: []           // sorted by minAccessories, ascending
+    };
+
+    // Wizard mode (enabled with the data-wizard attribute)
+    /** @type {{ enabled: boolean, step: string }} */
+    this.wizard = {
+      enabled: false,
+      step: SystemBuilder.wizardSteps[0]
     };
   }
 
   connectedCallback() {
+    this.loadTranslations();
     this.loadDiscountConfig();
     this.loadData();
     this.bindEvents();
     this.initializeState();
+    this.initializeWizard();
+    this.renderSavedBuilds();
+    this.refreshAvailability();
+  }
+
+  /**
+   * Load translated UI strings and the shop money format
+   */
+  loadTranslations() {
+    const translationsEl = this.querySelector('[data-translations]');
+    const moneyFormatEl = this.querySelector('[data-money-format]');
+
+    try {
+      /** @type {Translations} */
+      this.translations = translationsEl ? JSON.parse(translationsEl.textContent) : {};
+    } catch (e) {
+      this.translations = {};
+      console.error('System Builder: Error parsing translations', e);
+    }
+
+    this.moneyFormat = moneyFormatEl instanceof HTMLTemplateElement
+      ? moneyFormatEl.content.textContent.trim() || '{{amount}}'
+      : '{{amount}}';
   }
 
   /**
-   * Load bundle discount config from data attributes
+   * Translate a key, e.g. t('stock_low', { count: 3 }). Plural keys use their "one" or "other" form.
+   * @param {string} key - The translation key
+   * @param {Record<string, string | number>} [variables] - The values to interpolate
+   * @returns {string}
+   */
+  t(key, variables = {}) {
+    let translation = this.translations?.[key] ?? key;
+    if (typeof translation === 'object') {
+      translation = variables.count === 1 ? translation.one : translation.other;
+    }
+
+    return String(translation ?? key).replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+      name in variables ? String(variables[name]) : match
+    );
+  }
+
+  /**
+   * Load bundle discount tiers from embedded JSON, falling back to the single-threshold data attributes
    */
   loadDiscountConfig() {
+    const tiersEl = this.querySelector('[data-discount-tiers]');
+    const defaultDiscountCode = this.dataset.bundleDiscountCode || null;
+    /** @type {Partial<DiscountTier>[]} */
+    let tiers = [];
+
+    try {
+      tiers = tiersEl ? JSON.parse(tiersEl.textContent) : [];
+    } catch (e) {
+      console.error('System Builder: Error parsing discount tiers', e);
+    }
+
     const discountAmount = this.dataset.bundleDiscount;
-    if (discountAmount) {
-      this.bundleDiscount.enabled = true;
-      this.bundleDiscount.amount = parseFloat(discountAmount) || 20;
-      this.bundleDiscount.minAccessories = parseInt(this.dataset.bundleMinAccessories, 10) || 2;
-      this.bundleDiscount.discountCode = this.dataset.bundleDiscountCode || null;
+    if (tiers.length === 0 && discountAmount) {
+      tiers = [{
+        minAccessories: Number(this.dataset.bundleMinAccessories) || 2,
+        amount: parseFloat(discountAmount) || 20
+      }];
     }
+
+    // Amounts are set in the shop currency — convert them for customers shopping in another currency
+    const currencyRate = parseFloat(window.Shopify?.currency?.rate) || 1;
+
+    this.bundleDiscount.tiers = tiers
+      .map(tier => ({
+        minAccessories: Number(tier.minAccessories) || 0,
+        amount: (Number(tier.amount) || 0) * currencyRate,
+        freeShipping: !!tier.freeShipping,
+        discountCode: tier.discountCode || defaultDiscountCode,
+        label: tier.label || null
+      }))
+      .filter(tier => tier.minAccessories > 0 && (tier.amount > 0 || tier.freeShipping))
+      .sort((a, b) => a.minAccessories - b.minAccessories);
+
+    this.bundleDiscount.enabled = this.bundleDiscount.tiers.length > 0;
+  }
+
+  /**
+   * Get the best tier a build qualifies for and the next tier it could unlock
+   * @param {number} harnessModelCount - The quantity of harnesses
+   * @param {number} accessoryCount - The quantity of harness accessories
+   * @returns {{ tier: DiscountTier | null, nextTier: DiscountTier | null }}
+   */
+  getDiscountTiers(harnessModelCount, accessoryCount) {
+    if (!this.bundleDiscount.enabled) return { tier: null, nextTier: null };
+
+    const { tiers } = this.bundleDiscount;
+    const qualifiedTiers = harnessModelCount > 0
+      ? tiers.filter(t => accessoryCount >= t.minAccessories)
+      : [];
+
+    return {
+      tier: qualifiedTiers[qualifiedTiers.length - 1] || null,
+      nextTier: tiers.find(t => accessoryCount < t.minAccessories) || null
+    };
+  }
+
+  /**
+   * Describe what a tier unlocks, e.g. "$35.00 off + free shipping"
+   * @param {DiscountTier} tier - The tier
+   * @returns {string}
+   */
+  describeDiscountTier(tier) {
+    const parts = [];
+    if (tier.amount > 0) parts.push(this.t('discount_amount_off', { amount: this.formatMoney(Math.round(tier.amount * 100)) }));
+    if (tier.freeShipping) parts.push(this.t('discount_free_shipping'));
+    return parts.join(' + ');
   }
 
   /**
    * Load metaobject data from embedded JSON
    */
   loadData() {
-    const harnessModelsEl = this.querySelector('[data-harness-models]');
-    const harnessTypesEl = this.querySelector('[data-harness-types]');
-    const harnessAccessoriesEl = this.querySelector('[data-harness-accessories]');
-    const accessoriesEl = this.querySelector('[data-accessories]');
-
     try {
-      this.data.harnessModels = harnessModelsEl ? JSON.parse(harnessModelsEl.textContent) : [];
-      this.data.harnessTypes = harnessTypesEl ? JSON.parse(harnessTypesEl.textContent) : [];
-      this.data.harnessAccessories = harnessAccessoriesEl ? JSON.parse(harnessAccessoriesEl.textContent) : [];
-      this.data.accessories = accessoriesEl ? JSON.parse(accessoriesEl.textContent) : [];
+      this.data = this.parseData(this);
     } catch (e) {
       console.error('System Builder: Error parsing data', e);
     }
+
+    this.rules = new HarnessCompatibilityRules(this.data.harnessAccessories, (key, variables) => this.t(key, variables));
+  }
+
+  /**
+   * Read the data payloads rendered by the section
+   * @param {ParentNode} root - The section, or a fresh render of it
+   * @returns {BuilderData}
+   */
+  parseData(root) {
+    const harnessModelsEl = root.querySelector('[data-harness-models]');
+    const harnessTypesEl = root.querySelector('[data-harness-types]');
+    const harnessAccessoriesEl = root.querySelector('[data-harness-accessories]');
+    const accessoriesEl = root.querySelector('[data-accessories]');
+
+    return {
+      harnessModels: harnessModelsEl ? JSON.parse(harnessModelsEl.textContent) : [],
+      harnessTypes: harnessTypesEl ? JSON.parse(harnessTypesEl.textContent) : [],
+      harnessAccessories: harnessAccessoriesEl ? JSON.parse(harnessAccessoriesEl.textContent) : [],
+      accessories: accessoriesEl ? JSON.parse(accessoriesEl.textContent) : []
+    };
   }
 
   /**
@@ -77,48 +531,153 @@ class SystemBuilder extends HTMLElement {
    */
   bindEvents() {
     this.addEventListener('click', (e) => {
+      if (!(e.target instanceof Element)) return;
+
       const chip = e.target.closest('[data-chip]');
-      if (chip) {
+      if (chip instanceof HTMLElement) {
         this.handleChipClick(chip);
         return;
       }
 
+      // Notify-me controls live inside out-of-stock cards
+      const notifyToggle = e.target.closest('[data-notify-toggle]');
+      if (notifyToggle instanceof HTMLElement) {
+        this.toggleNotifyForm(notifyToggle);
+        return;
+      }
+      if (e.target.closest('[data-notify-form]')) return;
+
       const productCard = e.target.closest('[data-product-card]');
-      if (productCard) {
+      if (productCard instanceof HTMLElement) {
         this.handleProductCardClick(productCard);
         return;
       }
 
       const addToCartBtn = e.target.closest('[data-add-to-cart]');
-      if (addToCartBtn) {
-        this.handleAddToCart(addToCartBtn);
+      if (addToCartBtn instanceof HTMLButtonElement) {
+        this.handleAddToCart(addToCartBtn, e);
         return;
       }
 
       const removeBtn = e.target.closest('[data-summary-remove]');
-      if (removeBtn) {
+      if (removeBtn instanceof HTMLElement) {
         this.handleRemoveFromSummary(removeBtn);
         return;
       }
 
       const quantityIncreaseBtn = e.target.closest('[data-quantity-increase]');
-      if (quantityIncreaseBtn) {
+      if (quantityIncreaseBtn instanceof HTMLElement) {
         this.handleQuantityChange(quantityIncreaseBtn.dataset.quantityIncrease, 1);
         return;
       }
 
       const quantityDecreaseBtn = e.target.closest('[data-quantity-decrease]');
-      if (quantityDecreaseBtn) {
+      if (quantityDecreaseBtn instanceof HTMLElement) {
         this.handleQuantityChange(quantityDecreaseBtn.dataset.quantityDecrease, -1);
         return;
       }
+
+      const copyLinkBtn = e.target.closest('[data-copy-build-link]');
+      if (copyLinkBtn instanceof HTMLElement) {
+        this.handleCopyBuildLink(copyLinkBtn);
+        return;
+      }
+
+      const openBuildBtn = e.target.closest('[data-saved-build-open]');
+      if (openBuildBtn instanceof HTMLElement) {
+        this.handleOpenSavedBuild(openBuildBtn.dataset.savedBuildOpen);
+        return;
+      }
+
+      const renameBuildBtn = e.target.closest('[data-saved-build-rename]');
+      if (renameBuildBtn instanceof HTMLElement) {
+        this.showRenameForm(renameBuildBtn.dataset.savedBuildRename);
+        return;
+      }
+
+      const deleteBuildBtn = e.target.closest('[data-saved-build-delete]');
+      if (deleteBuildBtn instanceof HTMLElement) {
+        this.handleDeleteSavedBuild(deleteBuildBtn.dataset.savedBuildDelete);
+        return;
+      }
+
+      const closeCompareBtn = e.target.closest('[data-compare-close]');
+      if (closeCompareBtn) {
+        this.compareBuildIds = [];
+        this.renderSavedBuilds();
+        return;
+      }
+
+      const exportPreviewBtn = e.target.closest('[data-preview-export]');
+      if (exportPreviewBtn instanceof HTMLButtonElement) {
+        this.handleExportPreview(exportPreviewBtn);
+        return;
+      }
+
+      const wizardStepBtn = e.target.closest('[data-wizard-step-button]');
+      if (wizardStepBtn instanceof HTMLElement) {
+        this.handleWizardStepClick(wizardStepBtn.dataset.wizardStepButton);
+        return;
+      }
+
+      if (e.target.closest('[data-wizard-back]')) {
+        this.handleWizardBack();
+        return;
+      }
+
+      if (e.target.closest('[data-wizard-next]')) {
+        this.handleWizardNext();
+        return;
+      }
+    });
+
+    this.addEventListener('change', (e) => {
+      if (!(e.target instanceof Element)) return;
+
+      const compareCheckbox = e.target.closest('[data-saved-build-compare]');
+      if (compareCheckbox instanceof HTMLInputElement) {
+        this.handleCompareToggle(compareCheckbox.dataset.savedBuildCompare, compareCheckbox.checked);
+      }
+    });
+
+    this.addEventListener('submit', (e) => {
+      if (!(e.target instanceof Element)) return;
+
+      const saveForm = e.target.closest('[data-save-build-form]');
+      if (saveForm instanceof HTMLFormElement) {
+        e.preventDefault();
+        this.handleSaveBuild(saveForm);
+        return;
+      }
+
+      const notifyForm = e.target.closest('[data-notify-form]');
+      if (notifyForm instanceof HTMLFormElement) {
+        e.preventDefault();
+        this.handleNotifySubmit(notifyForm);
+        return;
+      }
+
+      const renameForm = e.target.closest('[data-rename-build-form]');
+      if (renameForm instanceof HTMLFormElement) {
+        e.preventDefault();
+        const name = this.getBuildNameInput(renameForm)?.value ?? '';
+        this.handleRenameSavedBuild(renameForm.dataset.renameBuildForm, name);
+      }
     });
 
-    // Keyboard support for product cards
+    // Keyboard support for product cards and the wizard progress steps
     this.addEventListener('keydown', (e) => {
+      if (!(e.target instanceof Element)) return;
+
+      const wizardStepBtn = e.target.closest('[data-wizard-step-button]');
+      if (wizardStepBtn instanceof HTMLElement) {
+        this.handleWizardStepKeydown(e, wizardStepBtn);
+        return;
+      }
+
       if (e.key === 'Enter' || e.key === ' ') {
         const productCard = e.target.closest('[data-product-card]');
-        if (productCard) {
+        if (productCard instanceof HTMLElement && e.target === productCard) {
           e.preventDefault();
           this.handleProductCardClick(productCard);
         }
@@ -127,17 +686,221 @@ class SystemBuilder extends HTMLElement {
   }
 
   /**
-   * Initialize state — display block accessories, hide accessories step until a model is selected
+   * Initialize state — display block accessories, hide accessories step until a model is selected,
+   * then restore any build encoded in the URL
+   */
+  initializeState() {
+    // Hide accessories step until a harness model is selected
+    this.updateAccessoriesVisibility();
+
+    if (this.data.accessories.length > 0) {
+      this.displayBlockAccessories();
+    }
+
+    this.restoreStateFromUrl();
+    this.updateSummary();
+  }
+
+  /**
+   * Restore model, accessory chips and selected products from the build URL params
+   */
+  restoreStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+
+    // Items are encoded as variantId:quantity
+    const items = this.parseUrlList(params.get(SystemBuilder.urlParams.items)).map(entry => {
+      const [id = '', quantity = ''] = entry.split(':');
+      return { id, quantity: parseInt(quantity, 10) || 1 };
+    });
+
+    this.applyBuildState({
+      model: params.get(SystemBuilder.urlParams.model),
+      accessories: this.parseUrlList(params.get(SystemBuilder.urlParams.accessories)),
+      items
+    });
+  }
+
+  /**
+   * Split a comma-separated URL param into its non-empty entries
+   * @param {string | null} value - The param value
+   * @returns {string[]}
+   */
+  parseUrlList(value) {
+    if (!value) return [];
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+
+  /**
+   * Get the current build as plain data: { model, accessories, items: [{ id, productType, quantity }] }
+   * @returns {BuildState}
+   */
+  getBuildState() {
+    return {
+      model: this.activeHarnessModel,
+      accessories: Array.from(this.activeAccessories),
+      items: Object.entries(this.selectedProducts).map(([variantId, product]) => ({
+        id: variantId,
+        productType: product.productType,
+        quantity: product.quantity || 1
+      }))
+    };
+  }
+
+  /**
+   * Apply a build state on top of the current UI state.
+   * Returns the number of items that could not be restored (missing or out of stock).
+   * @param {BuildState} state - The build to apply
+   * @returns {number}
+   */
+  applyBuildState(state) {
+    let skippedCount = 0;
+
+    if (state.model) {
+      const modelChip = this.querySelector(
+        `[data-chip][data-field="harness-model"][data-value="${CSS.escape(state.model)}"]`
+      );
+      if (modelChip instanceof HTMLElement && this.activeHarnessModel !== state.model) {
+        this.handleHarnessModelChipClick(modelChip, state.model);
+      }
+    }
+
+    // Accessory chips only apply once a model is active
+    if (this.activeHarnessModel) {
+      (state.accessories || []).forEach(handle => {
+        const chip = this.querySelector(
+          `[data-chip][data-field="harness-accessory"][data-value="${CSS.escape(handle)}"]`
+        );
+        if (!(chip instanceof HTMLElement) || chip.style.display === 'none') return;
+        if (this.activeAccessories.has(handle)) return;
+        this.handleAccessoryChipClick(chip, handle);
+      });
+    }
+
+    // Items that break a compatibility rule are retried once every other item is in,
+    // so an accessory listed before the accessory it requires still restores
+    /** @type {{ variantId: string, product: SelectedProduct }[]} */
+    let pendingItems = [];
+
+    (state.items || []).forEach(item => {
+      const variantId = String(item.id);
+      if (!/^\d+$/.test(variantId)) return;
+
+      const card = this.querySelector(`[data-product-card][data-variant-id="${variantId}"]`);
+      if (!(card instanceof HTMLElement) || card.dataset.available === 'false') {
+        skippedCount++;
+        return;
+      }
+
+      const productType = card.dataset.productType;
+      const productData = productType ? this.findProductData(variantId, productType) : null;
+      if (!productType || !productData) {
+        skippedCount++;
+        return;
+      }
+
+      pendingItems.push({
+        variantId,
+        product: { ...productData, productType, quantity: Math.max(1, item.quantity || 1) }
+      });
+    });
+
+    let addedCount = 0;
+    do {
+      addedCount = 0;
+      pendingItems = pendingItems.filter(({ variantId, product }) => {
+        if (this.getNewRuleViolation({ ...this.selectedProducts, [variantId]: product })) return true;
+
+        this.selectedProducts[variantId] = product;
+        this.setCardSelected(variantId, true);
+        addedCount++;
+        return false;
+      });
+    } while (addedCount > 0 && pendingItems.length > 0);
+
+    return skippedCount + pendingItems.length;
+  }
+
+  /**
+   * Clear the model, accessory chips and all product selections without re-rendering the summary
+   */
+  resetBuild() {
+    const modelChip = this.querySelector('[data-chip][data-field="harness-model"].system-builder__chip--selected');
+    if (modelChip instanceof HTMLElement) this.handleHarnessModelChipClick(modelChip, modelChip.dataset.value);
+
+    this.selectedProducts = {};
+
+    this.querySelectorAll('[data-product-card]').forEach(card => {
+      card.classList.remove('system-builder__product-card--selected');
+      card.setAttribute('aria-pressed', 'false');
+    });
+  }
+
+  /**
+   * Serialize the current build (model, accessory chips, variant IDs and quantities) into URL params
+   */
+  serializeState() {
+    const { model, accessories, items } = this.getBuildState();
+    const params = new URLSearchParams();
+
+    if (model) {
+      params.set(SystemBuilder.urlParams.model, model);
+    }
+
+    if (accessories.length > 0) {
+      params.set(SystemBuilder.urlParams.accessories, accessories.join(','));
+    }
+
+    if (items.length > 0) {
+      params.set(SystemBuilder.urlParams.items, items.map(item => `${item.id}:${item.quantity}`).join(','));
+    }
+
+    return params;
+  }
+
+  /**
+   * Get an absolute URL to the current page that reopens this exact build
+   */
+  getShareUrl() {
+    const url = new URL(window.location.href);
+    url.hash = '';
+
+    Object.values(SystemBuilder.urlParams).forEach(key => url.searchParams.delete(key));
+    this.serializeState().forEach((value, key) => url.searchParams.set(key, value));
+
+    return url.toString();
+  }
+
+  /**
+   * Mirror the current build into the address bar without adding history entries
+   */
+  syncUrlState() {
+    const shareUrl = new URL(this.getShareUrl());
+    shareUrl.hash = window.location.hash;
+
+    if (shareUrl.toString() === window.location.href) return;
+    window.history.replaceState(window.history.state, '', shareUrl.toString());
+  }
+
+  /**
+   * Handle "copy link to this build" click
+   * @param {HTMLElement} button - The copy link button
    */
-  initializeState() {
-    // Hide accessories step until a harness model is selected
-    this.updateAccessoriesVisibility();
+  async handleCopyBuildLink(button) {
+    if (!button.dataset.originalText) button.dataset.originalText = button.textContent.trim();
+    const originalText = button.dataset.originalText;
 
-    if (this.data.accessories.length > 0) {
-      this.displayBlockAccessories();
+    try {
+      await navigator.clipboard.writeText(this.getShareUrl());
+      button.textContent = button.dataset.copiedText || this.t('link_copied');
+    } catch (e) {
+      console.warn('System Builder: Could not copy build link', e);
+      button.textContent = this.t('link_copy_error');
     }
 
-    this.updateSummary();
+    clearTimeout(this.copyLinkTimeout);
+    this.copyLinkTimeout = setTimeout(() => {
+      button.textContent = originalText;
+    }, 2000);
   }
 
   /**
@@ -189,9 +952,7 @@ class SystemBuilder extends HTMLElement {
       const accessory = this.data.harnessAccessories.find(a => a.handle === handle);
       if (!accessory) return;
 
-      // Show chip if its modelHandles includes the active model, or if no filter is set
-      const isLinked = !accessory.modelHandles || accessory.modelHandles.length === 0
-        || accessory.modelHandles.includes(this.activeHarnessModel);
+      const isLinked = this.isAccessoryLinked(accessory);
 
       chip.style.display = isLinked ? '' : 'none';
 
@@ -205,6 +966,227 @@ class SystemBuilder extends HTMLElement {
     });
   }
 
+  /**
+   * Check whether a harness accessory applies to the selected model (no model filter applies to all)
+   * @param {HarnessAccessory} accessory - The harness accessory
+   * @returns {boolean}
+   */
+  isAccessoryLinked(accessory) {
+    return !accessory.modelHandles || accessory.modelHandles.length === 0
+      || (!!this.activeHarnessModel && accessory.modelHandles.includes(this.activeHarnessModel));
+  }
+
+  /**
+   * Enable wizard mode and open the first step that still needs input
+   */
+  initializeWizard() {
+    this.wizard.enabled = this.hasAttribute('data-wizard');
+    if (!this.wizard.enabled) return;
+
+    this.classList.add('system-builder--wizard');
+
+    // A build restored from the URL or a saved build can skip straight to review
+    const steps = this.getWizardSteps();
+    this.wizard.step = steps[this.getWizardReachableIndex(steps)] ?? this.wizard.step;
+    this.renderWizard();
+  }
+
+  /**
+   * Get the wizard steps for the current build — accessories is skipped when the model has none
+   * @returns {string[]}
+   */
+  getWizardSteps() {
+    const hasAccessories = this.data.accessories.length > 0
+      || (this.activeHarnessModel && this.data.harnessAccessories.some(a => this.isAccessoryLinked(a)));
+
+    return SystemBuilder.wizardSteps.filter(step => step !== 'accessories' || hasAccessories);
+  }
+
+  /**
+   * Validate a wizard step. Returns an error message, or null when the step is complete
+   * @param {string | undefined} step - The step
+   * @returns {string | null}
+   */
+  validateWizardStep(step) {
+    if (step === 'model') {
+      return this.activeHarnessModel ? null : this.t('wizard_choose_model');
+    }
+
+    if (step === 'harness') {
+      const hasHarness = Object.values(this.selectedProducts).some(p => p.productType === 'harness-model');
+      return hasHarness ? null : this.t('wizard_choose_harness');
+    }
+
+    if (step === 'accessories') {
+      const [violation] = this.rules.validate(this.selectedProducts);
+      return violation ? violation.message : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the index of the furthest step the customer can reach (the first incomplete one)
+   * @param {string[]} steps - The wizard steps
+   * @returns {number}
+   */
+  getWizardReachableIndex(steps) {
+    const firstIncomplete = steps.findIndex(step => this.validateWizardStep(step));
+    return firstIncomplete === -1 ? steps.length - 1 : firstIncomplete;
+  }
+
+  /**
+   * Show a wizard step and move focus to its heading
+   * @param {string} step - The step
+   * @param {{ focus?: boolean }} [options] - Whether to move focus to the step's heading
+   */
+  goToWizardStep(step, { focus = true } = {}) {
+    this.wizard.step = step;
+    this.showWizardError(null);
+    this.renderWizard();
+
+    if (!focus) return;
+
+    const panel = this.querySelector(`[data-wizard-panel~="${step}"]`);
+    const heading = panel?.querySelector('.system-builder__step-title, .system-builder__summary-title');
+    if (!(heading instanceof HTMLElement)) return;
+
+    heading.setAttribute('tabindex', '-1');
+    heading.focus();
+  }
+
+  /**
+   * Go to the next step if the current one is complete
+   */
+  handleWizardNext() {
+    const steps = this.getWizardSteps();
+    const index = steps.indexOf(this.wizard.step);
+
+    const error = this.validateWizardStep(this.wizard.step);
+    if (error) {
+      this.showWizardError(error);
+      return;
+    }
+
+    const nextStep = steps[index + 1];
+    if (nextStep) this.goToWizardStep(nextStep);
+  }
+
+  /**
+   * Go back one step
+   */
+  handleWizardBack() {
+    const steps = this.getWizardSteps();
+    const previousStep = steps[steps.indexOf(this.wizard.step) - 1];
+    if (previousStep) this.goToWizardStep(previousStep);
+  }
+
+  /**
+   * Jump to a step from the progress indicator — later steps open once the ones before are complete
+   * @param {string | undefined} step - The step of the clicked progress button
+   */
+  handleWizardStepClick(step) {
+    const steps = this.getWizardSteps();
+    const index = step ? steps.indexOf(step) : -1;
+    if (!step || index === -1) return;
+
+    const reachableIndex = this.getWizardReachableIndex(steps);
+    if (index > reachableIndex) {
+      this.showWizardError(this.validateWizardStep(steps[reachableIndex]));
+      return;
+    }
+
+    this.goToWizardStep(step);
+  }
+
+  /**
+   * Arrow, Home and End keys move focus between the progress steps
+   * @param {KeyboardEvent} e - The keydown event
+   * @param {HTMLElement} button - The focused progress button
+   */
+  handleWizardStepKeydown(e, button) {
+    const buttons = Array.from(this.querySelectorAll('[data-wizard-step-button]'))
+      .filter(btn => !btn.closest('li')?.hidden);
+    const index = buttons.indexOf(button);
+
+    let target = null;
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') target = buttons[index + 1];
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') target = buttons[index - 1];
+    if (e.key === 'Home') target = buttons[0];
+    if (e.key === 'End') target = buttons[buttons.length - 1];
+
+    if (!(target instanceof HTMLElement)) return;
+
+    e.preventDefault();
+    target.focus();
+  }
+
+  /**
+   * Show or clear the wizard validation message
+   * @param {string | null} message - The message, or null to clear it
+   */
+  showWizardError(message) {
+    const errorEl = this.querySelector('[data-wizard-error]');
+    if (!(errorEl instanceof HTMLElement)) return;
+
+    errorEl.textContent = message || '';
+    errorEl.hidden = !message;
+  }
+
+  /**
+   * Sync panels, progress indicator and back/next buttons with the current step
+   */
+  renderWizard() {
+    if (!this.wizard.enabled) return;
+
+    const steps = this.getWizardSteps();
+    if (!steps.includes(this.wizard.step)) this.wizard.step = steps[0] ?? SystemBuilder.wizardSteps[0];
+
+    const { step } = this.wizard;
+    const index = steps.indexOf(step);
+    const reachableIndex = this.getWizardReachableIndex(steps);
+
+    this.querySelectorAll('[data-wizard-panel]').forEach(panel => {
+      if (!(panel instanceof HTMLElement)) return;
+
+      const isActive = (panel.dataset.wizardPanel ?? '').split(' ').includes(step);
+      panel.classList.toggle('system-builder__wizard-panel--inactive', !isActive);
+    });
+
+    this.querySelectorAll('[data-wizard-step-button]').forEach(button => {
+      if (!(button instanceof HTMLElement)) return;
+
+      const stepIndex = steps.indexOf(button.dataset.wizardStepButton ?? '');
+      const item = button.closest('li');
+      if (item) item.hidden = stepIndex === -1;
+      if (stepIndex === -1) return;
+
+      const numberEl = button.querySelector('[data-wizard-step-number]');
+      if (numberEl) numberEl.textContent = String(stepIndex + 1);
+
+      button.classList.toggle('system-builder__wizard-step--active', stepIndex === index);
+      button.classList.toggle('system-builder__wizard-step--complete', stepIndex < index);
+      button.setAttribute('aria-disabled', stepIndex > reachableIndex ? 'true' : 'false');
+      if (stepIndex === index) {
+        button.setAttribute('aria-current', 'step');
+      } else {
+        button.removeAttribute('aria-current');
+      }
+    });
+
+    const statusEl = this.querySelector('[data-wizard-status]');
+    if (statusEl) statusEl.textContent = this.t('wizard_progress', { step: index + 1, total: steps.length });
+
+    const backBtn = this.querySelector('[data-wizard-back]');
+    if (backBtn instanceof HTMLElement) backBtn.hidden = index === 0;
+
+    const nextBtn = this.querySelector('[data-wizard-next]');
+    if (nextBtn instanceof HTMLElement) nextBtn.hidden = index === steps.length - 1;
+
+    // Clear a stale validation message once the step is complete
+    if (!this.validateWizardStep(step)) this.showWizardError(null);
+  }
+
   /**
    * Handle chip click
    */
@@ -218,6 +1200,7 @@ class SystemBuilder extends HTMLElement {
       this.handleAccessoryChipClick(chip, value);
     }
 
+    this.removeOrphanedAccessories();
     this.updateSummary();
   }
 
@@ -344,17 +1327,364 @@ class SystemBuilder extends HTMLElement {
   }
 
   /**
-   * Handle product card click — toggle selection
+   * Read saved builds from localStorage
+   * @returns {SavedBuild[]}
    */
-  handleProductCardClick(card) {
-    const isAvailable = card.dataset.available !== 'false';
-    if (!isAvailable) return;
+  getSavedBuilds() {
+    try {
+      const builds = JSON.parse(localStorage.getItem(SystemBuilder.savedBuildsStorageKey) || '[]');
+      return Array.isArray(builds) ? builds : [];
+    } catch (e) {
+      return [];
+    }
+  }
 
-    const variantId = card.dataset.variantId;
-    const productType = card.dataset.productType;
-    if (!variantId || !productType) return;
+  /**
+   * Write saved builds to localStorage
+   * @param {SavedBuild[]} builds - The saved builds
+   * @returns {boolean} Whether the builds were saved
+   */
+  setSavedBuilds(builds) {
+    try {
+      localStorage.setItem(SystemBuilder.savedBuildsStorageKey, JSON.stringify(builds));
+      return true;
+    } catch (e) {
+      console.warn('System Builder: Could not save builds', e);
+      return false;
+    }
+  }
+
+  /**
+   * Get the name input of a save or rename build form
+   * @param {HTMLFormElement} form - The form
+   * @returns {HTMLInputElement | null}
+   */
+  getBuildNameInput(form) {
+    const input = form.elements.namedItem('build-name');
+    return input instanceof HTMLInputElement ? input : null;
+  }
+
+  /**
+   * Save the current build under the name entered in the save form
+   * @param {HTMLFormElement} form - The save build form
+   */
+  handleSaveBuild(form) {
+    const input = this.getBuildNameInput(form);
+    if (!input) return;
+
+    const name = input.value.trim();
+
+    if (Object.keys(this.selectedProducts).length === 0) {
+      this.showSavedBuildsStatus(this.t('save_build_empty'));
+      return;
+    }
+
+    if (!name) {
+      input.focus();
+      return;
+    }
 
-    // Find the product data
+    const builds = this.getSavedBuilds();
+    builds.unshift({
+      id: Date.now().toString(36),
+      name,
+      savedAt: new Date().toISOString(),
+      ...this.getBuildState()
+    });
+
+    if (!this.setSavedBuilds(builds)) {
+      this.showSavedBuildsStatus(this.t('save_build_blocked'));
+      return;
+    }
+
+    input.value = '';
+    this.renderSavedBuilds();
+    this.showSavedBuildsStatus(this.t('build_saved', { name }));
+  }
+
+  /**
+   * Replace the current build with a saved one
+   * @param {string | undefined} buildId - The saved build ID
+   */
+  handleOpenSavedBuild(buildId) {
+    const build = this.getSavedBuilds().find(b => b.id === buildId);
+    if (!build) return;
+
+    this.resetBuild();
+    const skippedCount = this.applyBuildState(build);
+    this.updateSummary();
+
+    this.showSavedBuildsStatus(skippedCount > 0
+      ? this.t('build_opened_missing_items', { name: build.name, count: skippedCount })
+      : this.t('build_opened', { name: build.name }));
+  }
+
+  /**
+   * Swap a saved build's name for an inline rename form
+   * @param {string | undefined} buildId - The saved build ID
+   */
+  showRenameForm(buildId) {
+    if (!buildId) return;
+
+    const item = this.querySelector(`[data-saved-build="${CSS.escape(buildId)}"]`);
+    const form = item?.querySelector('[data-rename-build-form]');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.hidden = false;
+    const input = this.getBuildNameInput(form);
+    if (!input) return;
+
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Rename a saved build
+   * @param {string | undefined} buildId - The saved build ID
+   * @param {string} name - The new name
+   */
+  handleRenameSavedBuild(buildId, name) {
+    const trimmedName = name.trim();
+    if (!trimmedName) return;
+
+    const builds = this.getSavedBuilds();
+    const build = builds.find(b => b.id === buildId);
+    if (!build) return;
+
+    build.name = trimmedName;
+    this.setSavedBuilds(builds);
+    this.renderSavedBuilds();
+  }
+
+  /**
+   * Delete a saved build
+   * @param {string | undefined} buildId - The saved build ID
+   */
+  handleDeleteSavedBuild(buildId) {
+    const builds = this.getSavedBuilds();
+    const build = builds.find(b => b.id === buildId);
+    if (!build) return;
+
+    this.setSavedBuilds(builds.filter(b => b.id !== buildId));
+    this.compareBuildIds = this.compareBuildIds.filter(id => id !== buildId);
+    this.renderSavedBuilds();
+    this.showSavedBuildsStatus(this.t('build_deleted', { name: build.name }));
+  }
+
+  /**
+   * Add or remove a saved build from the comparison — at most two builds are compared at once
+   * @param {string | undefined} buildId - The saved build ID
+   * @param {boolean} isChecked - Whether the build's compare checkbox is checked
+   */
+  handleCompareToggle(buildId, isChecked) {
+    if (!buildId) return;
+
+    this.compareBuildIds = this.compareBuildIds.filter(id => id !== buildId);
+    if (isChecked) {
+      this.compareBuildIds.push(buildId);
+      if (this.compareBuildIds.length > 2) this.compareBuildIds.shift();
+    }
+
+    this.renderSavedBuilds();
+  }
+
+  /**
+   * Show a status message in the saved builds panel
+   * @param {string} message - The message
+   */
+  showSavedBuildsStatus(message) {
+    const status = this.querySelector('[data-saved-builds-status]');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Resolve a saved build's items against current product data so prices stay up to date
+   * @param {SavedBuild} build - The saved build
+   * @returns {{ products: Record<string, SelectedProduct>, missingCount: number }}
+   */
+  resolveSavedBuildProducts(build) {
+    /** @type {Record<string, SelectedProduct>} */
+    const products = {};
+    let missingCount = 0;
+
+    (build.items || []).forEach(({ id, productType, quantity }) => {
+      const productData = productType ? this.findProductData(id, productType) : null;
+      if (!productType || !productData) {
+        missingCount++;
+        return;
+      }
+
+      products[id] = {
+        ...productData,
+        productType,
+        quantity: quantity || 1
+      };
+    });
+
+    return { products, missingCount };
+  }
+
+  /**
+   * Render the saved builds list and the comparison view
+   */
+  renderSavedBuilds() {
+    const list = this.querySelector('[data-saved-builds-list]');
+    if (!list) return;
+
+    const builds = this.getSavedBuilds();
+    const savedIds = builds.map(b => b.id);
+    this.compareBuildIds = this.compareBuildIds.filter(id => savedIds.includes(id));
+
+    list.innerHTML = builds.map(build => this.createSavedBuildHtml(build)).join('');
+
+    const emptyState = this.querySelector('[data-saved-builds-empty]');
+    if (emptyState instanceof HTMLElement) emptyState.hidden = builds.length > 0;
+
+    this.renderBuildComparison(builds);
+  }
+
+  /**
+   * Create saved build list item HTML
+   * @param {SavedBuild} build - The saved build
+   */
+  createSavedBuildHtml(build) {
+    const { products, missingCount } = this.resolveSavedBuildProducts(build);
+    const { itemCount, total } = this.calculateTotals(products);
+    const name = this.escapeHtml(build.name);
+    const isComparing = this.compareBuildIds.includes(build.id);
+
+    return `
+      <li class="system-builder__saved-build" data-saved-build="${build.id}">
+        <div class="system-builder__saved-build-header">
+          <input type="checkbox"
+                 class="system-builder__saved-build-compare"
+                 data-saved-build-compare="${build.id}"
+                 aria-label="${this.t('compare_build', { name })}"
+                 ${isComparing ? 'checked' : ''}>
+          <span class="system-builder__saved-build-name">${name}</span>
+          <span class="system-builder__saved-build-meta">
+            ${this.t('build_item_count', { count: itemCount })} · ${this.formatMoney(total)}
+          </span>
+        </div>
+        ${missingCount > 0
+          ? `<p class="system-builder__saved-build-note">${this.t('build_missing_items', { count: missingCount })}</p>`
+          : ''}
+        <form class="system-builder__saved-build-rename" data-rename-build-form="${build.id}" hidden>
+          <input type="text" name="build-name" value="${name}" maxlength="60" required aria-label="${this.t('build_name')}">
+          <button type="submit" class="system-builder__saved-build-action">${this.t('save')}</button>
+        </form>
+        <div class="system-builder__saved-build-actions">
+          <button type="button" class="system-builder__saved-build-action" data-saved-build-open="${build.id}">${this.t('open')}</button>
+          <button type="button" class="system-builder__saved-build-action" data-saved-build-rename="${build.id}">${this.t('rename')}</button>
+          <button type="button" class="system-builder__saved-build-action" data-saved-build-delete="${build.id}">${this.t('delete')}</button>
+        </div>
+      </li>
+    `;
+  }
+
+  /**
+   * Render a side-by-side comparison of the two selected saved builds
+   * @param {SavedBuild[]} builds - The saved builds
+   */
+  renderBuildComparison(builds) {
+    const container = this.querySelector('[data-saved-builds-compare]');
+    if (!(container instanceof HTMLElement)) return;
+
+    const [buildA, buildB] = this.compareBuildIds.map(id => builds.find(b => b.id === id));
+    if (!buildA || !buildB) {
+      container.hidden = true;
+      container.innerHTML = '';
+      return;
+    }
+
+    const productsA = this.resolveSavedBuildProducts(buildA).products;
+    const productsB = this.resolveSavedBuildProducts(buildB).products;
+    const totalsA = this.calculateTotals(productsA);
+    const totalsB = this.calculateTotals(productsB);
+    const nameA = this.escapeHtml(buildA.name);
+    const nameB = this.escapeHtml(buildB.name);
+
+    const variantIds = Array.from(new Set([...Object.keys(productsA), ...Object.keys(productsB)]));
+
+    /** @param {SelectedProduct | undefined} product */
+    const renderCell = (product) => product
+      ? `${product.quantity} × ${this.formatMoney(product.price)}`
+      : '—';
+
+    const rows = variantIds.map(variantId => {
+      const productA = productsA[variantId];
+      const productB = productsB[variantId];
+      const product = productA || productB;
+      if (!product) return '';
+
+      const isDifferent = productA?.quantity !== productB?.quantity;
+
+      return `
+        <tr class="${isDifferent ? 'system-builder__compare-row--different' : ''}">
+          <th scope="row">${this.getDisplayTitle(product)}</th>
+          <td>${renderCell(productA)}</td>
+          <td>${renderCell(productB)}</td>
+        </tr>
+      `;
+    }).join('');
+
+    const difference = totalsB.total - totalsA.total;
+    let differenceText = this.t('compare_same_price');
+    if (difference > 0) {
+      differenceText = this.t('compare_price_difference', { build: nameB, amount: this.formatMoney(difference), other_build: nameA });
+    } else if (difference < 0) {
+      differenceText = this.t('compare_price_difference', { build: nameA, amount: this.formatMoney(-difference), other_build: nameB });
+    }
+
+    container.innerHTML = `
+      <div class="system-builder__compare-header">
+        <h4 class="system-builder__compare-title">${this.t('compare_title')}</h4>
+        <button type="button" class="system-builder__summary-remove" data-compare-close aria-label="${this.t('compare_close')}">&times;</button>
+      </div>
+      <table class="system-builder__compare-table">
+        <thead>
+          <tr>
+            <th scope="col">${this.t('compare_item')}</th>
+            <th scope="col">${nameA}</th>
+            <th scope="col">${nameB}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">${this.t('compare_discount')}</th>
+            <td>${totalsA.discountApplies ? this.formatDiscount(totalsA) : '—'}</td>
+            <td>${totalsB.discountApplies ? this.formatDiscount(totalsB) : '—'}</td>
+          </tr>
+          <tr class="system-builder__compare-total">
+            <th scope="row">${this.t('compare_total')}</th>
+            <td>${this.formatMoney(totalsA.total)}</td>
+            <td>${this.formatMoney(totalsB.total)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      <p class="system-builder__compare-difference">${differenceText}</p>
+    `;
+    container.hidden = false;
+  }
+
+  /**
+   * Escape user-provided text for use in HTML strings
+   * @param {string | null | undefined} value - The text
+   */
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Find the product data for a variant ID within the data set for its product type
+   * @param {string} variantId - The variant ID
+   * @param {string} productType - 'harness-model', 'harness-accessory' or 'accessory'
+   * @returns {BuilderVariant | null}
+   */
+  findProductData(variantId, productType) {
     let productData = null;
 
     if (productType === 'harness-model') {
@@ -371,22 +1701,106 @@ class SystemBuilder extends HTMLElement {
       productData = this.data.accessories.find(a => String(a.id) === String(variantId));
     }
 
+    return productData || null;
+  }
+
+  /**
+   * Handle product card click — toggle selection
+   * @param {HTMLElement} card - The product card
+   */
+  handleProductCardClick(card) {
+    const isAvailable = card.dataset.available !== 'false';
+    if (!isAvailable) return;
+
+    const variantId = card.dataset.variantId;
+    const productType = card.dataset.productType;
+    if (!variantId || !productType) return;
+
+    const productData = this.findProductData(variantId, productType);
+    this.showRuleMessage('');
+
     // Toggle selection
     if (this.selectedProducts[variantId]) {
       delete this.selectedProducts[variantId];
+      this.setCardSelected(variantId, false);
+      this.removeOrphanedAccessories();
     } else if (productData) {
-      this.selectedProducts[variantId] = {
-        ...productData,
-        productType,
-        quantity: 1
-      };
+      const product = { ...productData, productType, quantity: 1 };
+      const violation = this.getNewRuleViolation({ ...this.selectedProducts, [variantId]: product });
+
+      if (violation) {
+        this.showRuleMessage(violation.message);
+        return;
+      }
+
+      this.selectedProducts[variantId] = product;
+      this.setCardSelected(variantId, true);
+    }
+
+    this.updateSummary();
+  }
+
+  /**
+   * Get the first rule violation a proposed selection would introduce, or null if it is allowed.
+   * Violations already present in the current build don't block unrelated changes.
+   * @param {Record<string, SelectedProduct>} candidateProducts - The proposed selection
+   * @returns {RuleViolation | null}
+   */
+  getNewRuleViolation(candidateProducts) {
+    const existingKeys = new Set(this.rules.validate(this.selectedProducts).map(v => v.key));
+    return this.rules.validate(candidateProducts).find(v => !existingKeys.has(v.key)) || null;
+  }
+
+  /**
+   * Deselect accessories whose required accessories are no longer in the build
+   */
+  removeOrphanedAccessories() {
+    /** @type {string[]} */
+    const removedNames = [];
+    let violations = this.rules.validate(this.selectedProducts).filter(v => v.type === 'requires');
+
+    while (violations.length > 0) {
+      violations.forEach(violation => {
+        this.rules.getVariantIds(violation.handle).forEach(variantId => {
+          if (!this.selectedProducts[variantId]) return;
+          delete this.selectedProducts[variantId];
+          this.setCardSelected(variantId, false);
+        });
+
+        const name = this.rules.getName(violation.handle);
+        if (!removedNames.includes(name)) removedNames.push(name);
+      });
+
+      violations = this.rules.validate(this.selectedProducts).filter(v => v.type === 'requires');
+    }
+
+    if (removedNames.length > 0) {
+      this.showRuleMessage(this.t('rule_removed_dependents', { accessories: formatList(removedNames) }));
     }
+  }
 
-    const isSelected = !!this.selectedProducts[variantId];
-    card.classList.toggle('system-builder__product-card--selected', isSelected);
-    card.setAttribute('aria-pressed', isSelected);
+  /**
+   * Show (or clear, with an empty string) the compatibility rule message
+   * @param {string} message - The message
+   */
+  showRuleMessage(message) {
+    this.querySelectorAll('[data-rule-message]').forEach(el => {
+      if (!(el instanceof HTMLElement)) return;
+      el.textContent = message;
+      el.hidden = !message;
+    });
+  }
 
-    this.updateSummary();
+  /**
+   * Sync the selected state of every card rendered for a variant
+   * @param {string} variantId - The variant ID
+   * @param {boolean} isSelected - Whether the variant is selected
+   */
+  setCardSelected(variantId, isSelected) {
+    this.querySelectorAll(`[data-product-card][data-variant-id="${variantId}"]`).forEach(card => {
+      card.classList.toggle('system-builder__product-card--selected', isSelected);
+      card.setAttribute('aria-pressed', String(isSelected));
+    });
   }
 
   /**
@@ -397,12 +1811,10 @@ class SystemBuilder extends HTMLElement {
     if (!variantId || !this.selectedProducts[variantId]) return;
 
     delete this.selectedProducts[variantId];
+    this.setCardSelected(variantId, false);
 
-    this.querySelectorAll(`[data-product-card][data-variant-id="${variantId}"]`).forEach(card => {
-      card.classList.remove('system-builder__product-card--selected');
-      card.setAttribute('aria-pressed', 'false');
-    });
-
+    this.showRuleMessage('');
+    this.removeOrphanedAccessories();
     this.updateSummary();
   }
 
@@ -414,51 +1826,87 @@ class SystemBuilder extends HTMLElement {
 
     const product = this.selectedProducts[variantId];
     const newQuantity = (product.quantity || 1) + delta;
+    this.showRuleMessage('');
 
     if (newQuantity <= 0) {
       delete this.selectedProducts[variantId];
-
-      this.querySelectorAll(`[data-product-card][data-variant-id="${variantId}"]`).forEach(card => {
-        card.classList.remove('system-builder__product-card--selected');
-        card.setAttribute('aria-pressed', 'false');
-      });
+      this.setCardSelected(variantId, false);
+      this.removeOrphanedAccessories();
     } else {
+      if (delta > 0) {
+        const maxQuantity = this.getMaxQuantity(product);
+        if (newQuantity > maxQuantity) {
+          this.showRuleMessage(this.t('stock_limit', { count: maxQuantity, product: this.getDisplayTitle(product) }));
+          return;
+        }
+
+        const violation = this.getNewRuleViolation({
+          ...this.selectedProducts,
+          [variantId]: { ...product, quantity: newQuantity }
+        });
+
+        if (violation) {
+          this.showRuleMessage(violation.message);
+          return;
+        }
+      }
+
       product.quantity = newQuantity;
     }
 
     this.updateSummary();
   }
 
+  /**
+   * Get "Product - Variant" display title, omitting the default variant title
+   * @param {BuilderVariant} product - The product
+   */
+  getDisplayTitle(product) {
+    return product.productTitle
+      ? (product.title && product.title !== 'Default Title'
+          ? `${product.productTitle} - ${product.title}`
+          : product.productTitle)
+      : product.title || this.t('product_fallback_title');
+  }
+
   /**
    * Render a product card HTML string
    */
   renderProductCard(variantData, productType) {
     const imageUrl = variantData.image ? this.getImageUrl(variantData.image, 200) : '';
     const price = this.formatMoney(variantData.price);
-    const displayTitle = variantData.productTitle
-      ? (variantData.title && variantData.title !== 'Default Title'
-          ? `${variantData.productTitle} - ${variantData.title}`
-          : variantData.productTitle)
-      : variantData.title || 'Product';
+    const displayTitle = this.getDisplayTitle(variantData);
 
     const isSelected = !!this.selectedProducts[variantData.id];
-    const isAvailable = variantData.available !== false;
-    const outOfStockClass = !isAvailable ? ' system-builder__product-card--out-of-stock' : '';
+    const stockStatus = this.getStockStatus(variantData);
+    const isAvailable = stockStatus !== 'out-of-stock';
+
+    // Out-of-stock cards can't be selected, so they aren't buttons — they hold a notify-me form instead
+    const labelTitle = stockStatus === 'backorder'
+      ? this.t('backorder_product_label', { product: displayTitle })
+      : displayTitle;
+    const interactiveAttributes = isAvailable
+      ? `role="button"
+           tabindex="0"
+           aria-pressed="${isSelected}"
+           aria-label="${this.t(isSelected ? 'remove_product_label' : 'add_product_label', { product: labelTitle })}"`
+      : '';
 
     return `
-      <div class="system-builder__product-card${isSelected ? ' system-builder__product-card--selected' : ''}${outOfStockClass}"
+      <div class="system-builder__product-card${isSelected ? ' system-builder__product-card--selected' : ''} system-builder__product-card--${stockStatus}"
            data-product-card
            data-product-type="${productType}"
            data-variant-id="${variantData.id}"
            data-available="${isAvailable}"
-           role="button"
-           tabindex="0"
-           aria-pressed="${isSelected}"
-           aria-label="Click to ${isSelected ? 'remove from' : 'add to'} your system: ${displayTitle}${!isAvailable ? ' (Out of Stock)' : ''}">
-        <div class="system-builder__product-select-indicator">
-          <span class="system-builder__checkmark"></span>
-        </div>
-        ${!isAvailable ? '<div class="system-builder__out-of-stock-badge">Out of Stock</div>' : ''}
+           data-stock-status="${stockStatus}"
+           ${interactiveAttributes}>
+        ${isAvailable
+          ? `<div class="system-builder__product-select-indicator">
+              <span class="system-builder__checkmark"></span>
+            </div>`
+          : ''}
+        ${!isAvailable ? `<div class="system-builder__out-of-stock-badge">${this.t('out_of_stock')}</div>` : ''}
+        ${stockStatus === 'backorder' ? `<div class="system-builder__backorder-badge">${this.t('backorder')}</div>` : ''}
         <div class="system-builder__product-image">
           ${imageUrl
             ? `<img src="${imageUrl}" alt="${displayTitle}" class="system-builder__product-img" loading="lazy">`
@@ -468,13 +1916,229 @@ class SystemBuilder extends HTMLElement {
         <div class="system-builder__product-info">
           <h4 class="system-builder__product-title">${displayTitle}</h4>
           <p class="system-builder__product-price">${price}</p>
-          ${!isAvailable ? '<p class="system-builder__stock-status">This item is currently out of stock</p>' : ''}
+          ${this.renderStockStatus(variantData, stockStatus)}
+          ${!isAvailable ? this.renderNotifyForm(variantData, displayTitle) : ''}
         </div>
         <input type="hidden" name="variant_id" value="${variantData.id}">
       </div>
     `;
   }
 
+  /**
+   * Get a variant's stock status: 'in-stock', 'low-stock', 'backorder' or 'out-of-stock'
+   * @param {BuilderVariant} variantData - The variant
+   * @returns {'in-stock' | 'low-stock' | 'backorder' | 'out-of-stock'}
+   */
+  getStockStatus(variantData) {
+    if (variantData.available === false) return 'out-of-stock';
+
+    const { inventoryManagement, inventoryQuantity } = variantData;
+    if (!inventoryManagement || typeof inventoryQuantity !== 'number') return 'in-stock';
+
+    // Tracked variants that are still available at zero stock sell on backorder
+    if (inventoryQuantity <= 0) return 'backorder';
+    if (inventoryQuantity <= SystemBuilder.lowStockThreshold) return 'low-stock';
+    return 'in-stock';
+  }
+
+  /**
+   * Get the most of a variant that can be ordered, or Infinity when stock isn't limited
+   * @param {BuilderVariant} variantData - The variant
+   * @returns {number}
+   */
+  getMaxQuantity(variantData) {
+    const { inventoryManagement, inventoryPolicy, inventoryQuantity } = variantData;
+    const isLimited = !!inventoryManagement
+      && inventoryPolicy !== 'continue'
+      && typeof inventoryQuantity === 'number'
+      && inventoryQuantity > 0;
+
+    return isLimited ? inventoryQuantity : Infinity;
+  }
+
+  /**
+   * Render the availability line for a product card
+   * @param {BuilderVariant} variantData - The variant
+   * @param {string} stockStatus - The status from getStockStatus()
+   */
+  renderStockStatus(variantData, stockStatus) {
+    switch (stockStatus) {
+      case 'out-of-stock':
+        return `<p class="system-builder__stock-status">${this.t('stock_out_of_stock')}</p>`;
+      case 'backorder':
+        return `<p class="system-builder__stock-status system-builder__stock-status--backorder">${this.t('stock_backorder')}</p>`;
+      case 'low-stock':
+        return `<p class="system-builder__stock-status system-builder__stock-status--low">${this.t('stock_low', { count: variantData.inventoryQuantity ?? 0 })}</p>`;
+      default:
+        return `<p class="system-builder__stock-status system-builder__stock-status--in-stock">${this.t('stock_in_stock')}</p>`;
+    }
+  }
+
+  /**
+   * Render the "notify me" signup for an out-of-stock product card
+   * @param {BuilderVariant} variantData - The variant
+   * @param {string} displayTitle - The product title shown on the card
+   */
+  renderNotifyForm(variantData, displayTitle) {
+    const formId = `system-builder-notify-${this.id}-${variantData.id}`;
+
+    return `
+      <button type="button"
+              class="system-builder__notify-toggle"
+              data-notify-toggle
+              aria-expanded="false"
+              aria-controls="${formId}">
+        ${this.t('notify_toggle')}
+      </button>
+      <form id="${formId}"
+            class="system-builder__notify-form"
+            action="${window.Shopify?.routes?.root || '/'}contact"
+            method="post"
+            data-notify-form
+            hidden>
+        <input type="hidden" name="form_type" value="contact">
+        <input type="hidden" name="utf8" value="✓">
+        <input type="hidden" name="contact[body]" value="Back in stock request: ${this.escapeHtml(displayTitle)} (variant ${variantData.id})">
+        <label class="visually-hidden" for="${formId}-email">${this.t('notify_email_label')}</label>
+        <input type="email"
+               id="${formId}-email"
+               name="contact[email]"
+               class="system-builder__notify-input"
+               placeholder="${this.t('notify_email_placeholder')}"
+               autocomplete="email"
+               required>
+        <button type="submit" class="system-builder__notify-submit">${this.t('notify_submit')}</button>
+        <p class="system-builder__notify-status" data-notify-status role="status"></p>
+      </form>
+    `;
+  }
+
+  /**
+   * Show or hide a card's notify-me form
+   * @param {HTMLElement} toggle - The notify-me button
+   */
+  toggleNotifyForm(toggle) {
+    const form = toggle.parentElement?.querySelector('[data-notify-form]');
+    if (!(form instanceof HTMLFormElement)) return;
+
+    form.hidden = !form.hidden;
+    toggle.setAttribute('aria-expanded', String(!form.hidden));
+
+    const emailInput = form.querySelector('input[type="email"]');
+    if (!form.hidden && emailInput instanceof HTMLInputElement) emailInput.focus();
+  }
+
+  /**
+   * Submit a back-in-stock request through the storefront contact form
+   * @param {HTMLFormElement} form - The notify form
+   */
+  async handleNotifySubmit(form) {
+    const status = form.querySelector('[data-notify-status]');
+    const submitBtn = form.querySelector('button[type="submit"]');
+
+    if (submitBtn instanceof HTMLButtonElement) submitBtn.disabled = true;
+
+    try {
+      const response = await fetch(form.action, {
+        method: 'POST',
+        body: new FormData(form)
+      });
+
+      if (!response.ok) throw new Error(`Contact form returned ${response.status}`);
+
+      // The request is followed through redirects, so a 200 alone doesn't mean it was recorded:
+      // only the redirect back with contact_posted=true does
+      const responseUrl = new URL(response.url);
+      if (responseUrl.searchParams.get('contact_posted') !== 'true') {
+        // The storefront asks for a captcha first, which only a real submit lets the customer complete
+        if (responseUrl.pathname.includes('/challenge')) {
+          form.submit();
+          return;
+        }
+
+        throw new Error('Contact form did not confirm the request');
+      }
+
+      if (status) status.textContent = this.t('notify_success');
+      form.querySelectorAll('input, button').forEach(el => el.setAttribute('disabled', ''));
+    } catch (e) {
+      console.warn('System Builder: Could not submit notify request', e);
+      if (status) status.textContent = this.t('notify_error');
+      if (submitBtn instanceof HTMLButtonElement) submitBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Get every variant the builder knows about along with its product type
+   * @param {BuilderData} [data] - The data to read, defaults to the builder's own
+   * @returns {{ variant: BuilderVariant, productType: string }[]}
+   */
+  getAllVariants(data = this.data) {
+    /** @type {{ variant: BuilderVariant, productType: string }[]} */
+    const variants = [];
+
+    data.harnessTypes.forEach(ht => {
+      (ht.variants || []).forEach(variant => variants.push({ variant, productType: 'harness-model' }));
+    });
+    data.harnessAccessories.forEach(acc => {
+      (acc.variants || []).forEach(variant => variants.push({ variant, productType: 'harness-accessory' }));
+    });
+    data.accessories.forEach(variant => variants.push({ variant, productType: 'accessory' }));
+
+    return variants;
+  }
+
+  /**
+   * Refresh availability from a fresh render of this section, in one request, so cached page HTML doesn't show
+   * stale stock. Cards are re-rendered and selections that sold out are removed.
+   */
+  async refreshAvailability() {
+    const { sectionId } = this.dataset;
+    if (!sectionId) return;
+
+    /** @type {Map<string, boolean>} */
+    const availability = new Map();
+
+    try {
+      const html = await sectionRenderer.getSectionHTML(sectionId, false);
+      const freshData = this.parseData(new DOMParser().parseFromString(html, 'text/html'));
+
+      this.getAllVariants(freshData).forEach(({ variant }) => {
+        availability.set(String(variant.id), Boolean(variant.available));
+      });
+    } catch (e) {
+      console.warn('System Builder: Could not refresh availability', e);
+      return;
+    }
+
+    const variants = this.getAllVariants();
+
+    /** @type {string[]} */
+    const soldOutTitles = [];
+
+    variants.forEach(({ variant, productType }) => {
+      const variantId = String(variant.id);
+      if (!availability.has(variantId) || availability.get(variantId) === variant.available) return;
+
+      variant.available = availability.get(variantId);
+
+      if (!variant.available && this.selectedProducts[variantId]) {
+        delete this.selectedProducts[variantId];
+        soldOutTitles.push(this.getDisplayTitle(variant));
+      }
+
+      this.querySelectorAll(`[data-product-card][data-variant-id="${variantId}"]`).forEach(card => {
+        card.outerHTML = this.renderProductCard(variant, productType);
+      });
+    });
+
+    if (soldOutTitles.length > 0) {
+      this.removeOrphanedAccessories();
+      this.showRuleMessage(this.t('sold_out_removed', { products: formatList(soldOutTitles), count: soldOutTitles.length }));
+      this.updateSummary();
+    }
+  }
+
   /**
    * Update summary section
    */
@@ -515,39 +2179,27 @@ class SystemBuilder extends HTMLElement {
       });
     }
 
-    // Calculate total
-    let subtotal = 0;
-    let itemCount = 0;
-    let harnessModelCount = 0;
-    let accessoryCount = 0;
-
-    Object.values(this.selectedProducts).forEach(product => {
-      if (product?.price) {
-        const qty = product.quantity || 1;
-        subtotal += product.price * qty;
-        itemCount += qty;
-
-        if (product.productType === 'harness-model') harnessModelCount += qty;
-        if (product.productType === 'harness-accessory') accessoryCount += qty;
-      }
-    });
-
-    // Check bundle discount eligibility
-    const discountApplies = this.bundleDiscount.enabled
-      && harnessModelCount > 0
-      && accessoryCount >= this.bundleDiscount.minAccessories;
-
-    const discountCents = discountApplies ? this.bundleDiscount.amount * 100 : 0;
-    const total = Math.max(0, subtotal - discountCents);
+    const totals = this.calculateTotals(this.selectedProducts);
+    const { itemCount, discountApplies, tier, total } = totals;
 
     // Update discount row visibility
     const discountRow = summary.querySelector('[data-summary-discount]');
+    const discountLabelEl = summary.querySelector('[data-discount-label]');
     const discountAmountEl = summary.querySelector('[data-discount-amount]');
-    if (discountRow) discountRow.hidden = !discountApplies;
+    if (discountRow instanceof HTMLElement) discountRow.hidden = !discountApplies;
+    if (discountLabelEl instanceof HTMLElement && tier) {
+      if (!discountLabelEl.dataset.defaultLabel) {
+        discountLabelEl.dataset.defaultLabel = discountLabelEl.textContent?.trim();
+      }
+      discountLabelEl.textContent = tier.label || discountLabelEl.dataset.defaultLabel;
+    }
     if (discountAmountEl && discountApplies) {
-      discountAmountEl.textContent = `-${this.formatMoney(discountCents)}`;
+      discountAmountEl.textContent = this.formatDiscount(totals);
     }
 
+    this.updateDiscountProgress(totals);
+    this.renderPreview();
+
     const totalEl = summary.querySelector('[data-total-price]');
     if (totalEl) totalEl.textContent = this.formatMoney(total);
 
@@ -556,20 +2208,264 @@ class SystemBuilder extends HTMLElement {
       const baseText = addToCartBtn.dataset.originalText || addToCartBtn.textContent;
       if (!addToCartBtn.dataset.originalText) addToCartBtn.dataset.originalText = baseText;
       addToCartBtn.textContent = itemCount > 0
-        ? `Add to Cart (${itemCount} item${itemCount > 1 ? 's' : ''})`
+        ? this.t('add_to_cart_count', { count: itemCount })
         : baseText;
     }
+
+    this.syncUrlState();
+    this.renderWizard();
+  }
+
+  /**
+   * Get the preview layers for the current build, bottom layer first.
+   * Positions are percentages of the preview canvas.
+   * @returns {PreviewLayer[]}
+   */
+  getPreviewLayers() {
+    /** @type {PreviewLayer[]} */
+    const layers = [];
+    const accessoryHandles = new Set();
+    let hasHarnessLayer = false;
+
+    Object.entries(this.selectedProducts).forEach(([variantId, product]) => {
+      if (product.productType === 'harness-model' && !hasHarnessLayer) {
+        const harnessType = this.data.harnessTypes.find(ht =>
+          ht.variants?.some(v => String(v.id) === String(variantId))
+        );
+        if (!harnessType?.previewLayer) return;
+
+        hasHarnessLayer = true;
+        layers.push({ src: harnessType.previewLayer, name: this.getDisplayTitle(product), x: 0, y: 0, width: 100, z: 0 });
+      } else if (product.productType === 'harness-accessory') {
+        // One layer per accessory, however many of its variants are selected
+        const handle = this.rules.handleByVariantId.get(String(variantId));
+        if (!handle || accessoryHandles.has(handle)) return;
+
+        const preview = this.data.harnessAccessories.find(a => a.handle === handle)?.preview;
+        if (!preview?.layer) return;
+
+        accessoryHandles.add(handle);
+        layers.push({
+          src: preview.layer,
+          name: this.rules.getName(handle),
+          x: Number(preview.x) || 0,
+          y: Number(preview.y) || 0,
+          width: Number(preview.width) || 100,
+          z: Number(preview.z) || 1
+        });
+      }
+    });
+
+    return layers.sort((a, b) => a.z - b.z);
+  }
+
+  /**
+   * Render the stacked preview layers
+   */
+  renderPreview() {
+    const preview = this.querySelector('[data-preview]');
+    const stage = preview?.querySelector('[data-preview-stage]');
+    if (!(preview instanceof HTMLElement) || !stage) return;
+
+    const layers = this.getPreviewLayers();
+    preview.hidden = layers.length === 0;
+
+    stage.innerHTML = layers.map(layer => `
+      <img
+        class="system-builder__preview-layer"
+        src="${this.escapeHtml(layer.src)}"
+        alt=""
+        style="left: ${layer.x}%; top: ${layer.y}%; width: ${layer.width}%; z-index: ${layer.z};"
+      >
+    `).join('');
+
+    stage.setAttribute('aria-label', this.t('preview_label_with_products', { products: formatList(layers.map(layer => layer.name)) }));
+  }
+
+  /**
+   * Export the preview as a PNG — shared through the Web Share API where supported, downloaded otherwise
+   * @param {HTMLButtonElement} button - The export button
+   */
+  async handleExportPreview(button) {
+    const layers = this.getPreviewLayers();
+    if (layers.length === 0) return;
+
+    const statusEl = this.querySelector('[data-preview-status]');
+    if (statusEl) statusEl.textContent = '';
+    button.disabled = true;
+
+    try {
+      const blob = await this.renderPreviewImage(layers);
+      const file = new File([blob], 'harness-build.png', { type: 'image/png' });
+
+      if (navigator.canShare?.({ files: [file] })) {
+        await navigator.share({ files: [file], title: this.t('preview_share_title') });
+        return;
+      }
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (e) {
+      // Closing the share sheet isn't an error
+      if (e.name === 'AbortError') return;
+
+      console.error('System Builder: Error exporting preview', e);
+      if (statusEl) statusEl.textContent = this.t('preview_export_error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Draw the preview layers onto a canvas matching the preview stage's aspect ratio
+   * @param {PreviewLayer[]} layers - The layers, bottom layer first
+   * @returns {Promise<Blob>}
+   */
+  async renderPreviewImage(layers) {
+    const stage = this.querySelector('[data-preview-stage]');
+    const aspectRatio = stage?.clientWidth ? stage.clientHeight / stage.clientWidth : 1;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = SystemBuilder.previewExportSize;
+    canvas.height = Math.round(canvas.width * aspectRatio);
+
+    const context = canvas.getContext('2d');
+    if (!context) throw new Error('Canvas export failed');
+
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const images = await Promise.all(layers.map(layer => this.loadPreviewImage(layer.src)));
+
+    layers.forEach((layer, index) => {
+      const image = images[index];
+      if (!image) return;
+
+      const width = canvas.width * layer.width / 100;
+      const height = width * image.naturalHeight / image.naturalWidth;
+      context.drawImage(image, canvas.width * layer.x / 100, canvas.height * layer.y / 100, width, height);
+    });
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+    });
+  }
+
+  /**
+   * Load a preview layer with CORS enabled so the export canvas isn't tainted
+   * @param {string} src - The image URL
+   * @returns {Promise<HTMLImageElement>}
+   */
+  loadPreviewImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Could not load preview layer ${src}`));
+      image.src = src;
+    });
+  }
+
+  /**
+   * Format the discount from calculateTotals(), e.g. "-$35.00 + Free shipping"
+   * @param {BuildTotals} totals - The totals
+   */
+  formatDiscount({ discountCents, freeShipping }) {
+    const parts = [];
+    if (discountCents > 0) parts.push(`-${this.formatMoney(discountCents)}`);
+    if (freeShipping) parts.push(this.t('discount_free_shipping_summary'));
+    return parts.join(' + ');
+  }
+
+  /**
+   * Update the "add N more accessories to unlock…" progress message and bar
+   * @param {BuildTotals} totals - The totals
+   */
+  updateDiscountProgress({ harnessModelCount, accessoryCount, tier, nextTier }) {
+    const progress = this.querySelector('[data-discount-progress]');
+    if (!(progress instanceof HTMLElement)) return;
+
+    const [firstTier] = this.bundleDiscount.tiers;
+    if (!this.bundleDiscount.enabled || !firstTier) {
+      progress.hidden = true;
+      return;
+    }
+
+    const textEl = progress.querySelector('[data-discount-progress-text]');
+    const fillEl = progress.querySelector('[data-discount-progress-fill]');
+    const targetTier = nextTier || tier;
+    let message = '';
+
+    if (harnessModelCount === 0) {
+      message = this.t('discount_add_harness', { reward: this.describeDiscountTier(firstTier) });
+    } else if (nextTier) {
+      const remaining = nextTier.minAccessories - accessoryCount;
+      message = this.t('discount_add_accessories', { count: remaining, reward: this.describeDiscountTier(nextTier) });
+    } else if (tier) {
+      message = this.t('discount_unlocked', { reward: this.describeDiscountTier(tier) });
+    }
+
+    if (textEl) textEl.textContent = message;
+    if (fillEl instanceof HTMLElement) {
+      const ratio = harnessModelCount > 0 && targetTier
+        ? Math.min(1, accessoryCount / targetTier.minAccessories)
+        : 0;
+      fillEl.style.width = `${Math.round(ratio * 100)}%`;
+    }
+
+    progress.hidden = false;
+  }
+
+  /**
+   * Calculate item counts, bundle discount and total for a set of products keyed by variant ID
+   * @param {Record<string, SelectedProduct>} products - The products
+   * @returns {BuildTotals}
+   */
+  calculateTotals(products) {
+    let subtotal = 0;
+    let itemCount = 0;
+    let harnessModelCount = 0;
+    let accessoryCount = 0;
+
+    Object.values(products).forEach(product => {
+      if (product?.price) {
+        const qty = product.quantity || 1;
+        subtotal += product.price * qty;
+        itemCount += qty;
+
+        if (product.productType === 'harness-model') harnessModelCount += qty;
+        if (product.productType === 'harness-accessory') accessoryCount += qty;
+      }
+    });
+
+    // Check bundle discount eligibility
+    const { tier, nextTier } = this.getDiscountTiers(harnessModelCount, accessoryCount);
+    const discountApplies = !!tier;
+    const discountCents = tier ? Math.round(tier.amount * 100) : 0;
+
+    return {
+      subtotal,
+      itemCount,
+      harnessModelCount,
+      accessoryCount,
+      discountApplies,
+      discountCents,
+      freeShipping: !!tier?.freeShipping,
+      tier,
+      nextTier,
+      total: Math.max(0, subtotal - discountCents)
+    };
   }
 
   /**
    * Create summary item HTML
    */
   createSummaryItemHtml(variantId, product) {
-    const displayTitle = product.productTitle
-      ? (product.title && product.title !== 'Default Title'
-          ? `${product.productTitle} - ${product.title}`
-          : product.productTitle)
-      : product.title || 'Product';
+    const displayTitle = this.getDisplayTitle(product);
 
     const imageUrl = product.image ? this.getImageUrl(product.image, 120) : '';
     const quantity = product.quantity || 1;
@@ -582,13 +2478,16 @@ class SystemBuilder extends HTMLElement {
         <div class="system-builder__summary-item-details">
           <span class="system-builder__summary-name">${displayTitle}</span>
           <span class="system-builder__summary-price">${this.formatMoney(product.price * quantity)}</span>
+          ${this.getStockStatus(product) === 'backorder'
+            ? `<span class="system-builder__summary-backorder">${this.t('summary_backorder')}</span>`
+            : ''}
         </div>
         <div class="system-builder__summary-quantity">
-          <button type="button" class="system-builder__quantity-btn" data-quantity-decrease="${variantId}" aria-label="Decrease quantity">−</button>
+          <button type="button" class="system-builder__quantity-btn" data-quantity-decrease="${variantId}" aria-label="${this.t('decrease_quantity')}">−</button>
           <span class="system-builder__quantity-value" data-quantity-display="${variantId}">${quantity}</span>
-          <button type="button" class="system-builder__quantity-btn" data-quantity-increase="${variantId}" aria-label="Increase quantity">+</button>
+          <button type="button" class="system-builder__quantity-btn" data-quantity-increase="${variantId}" aria-label="${this.t('increase_quantity')}">+</button>
         </div>
-        <button type="button" class="system-builder__summary-remove" data-summary-remove="${variantId}" aria-label="Remove item">&times;</button>
+        <button type="button" class="system-builder__summary-remove" data-summary-remove="${variantId}" aria-label="${this.t('remove_item')}">&times;</button>
       </div>
     `;
   }
@@ -608,105 +2507,98 @@ class SystemBuilder extends HTMLElement {
   }
 
   /**
-   * Handle add to cart
+   * Handle add to cart — adds go through the shared cart service, which updates the cart drawer and icon
+   * @param {HTMLButtonElement} button - The add to cart button
+   * @param {MouseEvent} event - The click event, for performance measurement
    */
-  async handleAddToCart(button) {
+  async handleAddToCart(button, event) {
+    /** @type {CartItemInput[]} */
     const items = [];
 
     Object.entries(this.selectedProducts).forEach(([variantId, product]) => {
       if (product?.id) {
-        items.push({ id: product.id, quantity: product.quantity || 1 });
+        items.push({
+          id: product.id,
+          quantity: product.quantity || 1,
+          ...(this.getStockStatus(product) === 'backorder'
+            ? { properties: { [SystemBuilder.backorderPropertyName]: this.t('backorder_property_value') } }
+            : {})
+        });
       }
     });
 
     if (items.length === 0) {
-      button.textContent = 'Select products first';
+      button.textContent = this.t('select_products_first');
       setTimeout(() => {
-        button.textContent = button.dataset.originalText || 'Add All to Cart';
+        button.textContent = button.dataset.originalText || this.t('add_all_to_cart');
       }, 2000);
       return;
     }
 
+    const [violation] = this.rules.validate(this.selectedProducts);
+    if (violation) {
+      this.showRuleMessage(violation.message);
+      return;
+    }
+
+    this.clearAddResult();
+
     button.disabled = true;
     const originalText = button.textContent;
     button.dataset.originalText = originalText;
-    button.textContent = 'Adding...';
+    button.textContent = this.t('adding');
 
-    try {
-      // Collect cart drawer section IDs for section rendering
-      const cartItemComponents = document.querySelectorAll('cart-items-component[data-section-id]');
-      const sectionIds = [];
-      cartItemComponents.forEach(el => {
-        if (el.dataset.sectionId) sectionIds.push(el.dataset.sectionId);
-      });
+    const flyToCartProduct = Object.values(this.selectedProducts).find(product => product.image);
 
-      const response = await fetch(`${window.Shopify?.routes?.root || '/'}cart/add.js`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
+    try {
+      const result = await cartService.addItems(items, {
+        source: this,
+        sourceName: 'system-builder',
+        allowPartial: true,
+        // Apply the code for the best tier the items that made it into the cart qualify for
+        discountCode: added => {
+          const addedIds = added.map(item => String(item.id));
+          const addedProducts = Object.fromEntries(
+            Object.entries(this.selectedProducts).filter(([variantId]) => addedIds.includes(variantId))
+          );
+          return this.calculateTotals(addedProducts).tier?.discountCode;
         },
-        body: JSON.stringify({
-          items,
-          ...(sectionIds.length > 0 ? { sections: sectionIds.join(',') } : {})
-        })
+        flyToCart: this.dataset.addToCartAnimation === 'true' && flyToCartProduct
+          ? { from: button, image: this.getImageUrl(flyToCartProduct.image, 200) }
+          : undefined,
+        // Group the build in the cart; the stored share URL lets "edit bundle" reopen it prefilled
+        bundle: {
+          name: this.getBundleName(),
+          url: this.getShareUrl(),
+          replaces: cartService.getEditingBundleId()
+        },
+        event
       });
 
-      const responseData = await response.json();
+      const { added } = result;
+      const rejected = result.rejected.map(item => ({ ...item, message: item.message || this.t('item_not_added') }));
 
-      if (!response.ok) {
-        const errorMessage = responseData.description || responseData.message || '';
-        if (errorMessage.toLowerCase().includes('out of stock') ||
-            errorMessage.toLowerCase().includes('not available') ||
-            errorMessage.toLowerCase().includes('inventory')) {
-          throw new Error('out_of_stock');
-        }
-        throw new Error(errorMessage || 'Failed to add to cart');
+      if (added.length === 0) {
+        this.showAddResult(added, rejected);
+        this.refreshAvailability();
+        throw new Error('nothing_added');
       }
 
-      // Auto-apply discount code if bundle qualifies
-      if (this.bundleDiscount.enabled && this.bundleDiscount.discountCode) {
-        let harnessCount = 0;
-        let accCount = 0;
-        Object.values(this.selectedProducts).forEach(p => {
-          if (p?.productType === 'harness-model') harnessCount += (p.quantity || 1);
-          if (p?.productType === 'harness-accessory') accCount += (p.quantity || 1);
+      if (rejected.length > 0) {
+        // Keep rejected items selected so they can be adjusted and retried
+        added.forEach(item => {
+          const variantId = String(item.id);
+          delete this.selectedProducts[variantId];
+          this.setCardSelected(variantId, false);
         });
-        if (harnessCount > 0 && accCount >= this.bundleDiscount.minAccessories) {
-          try {
-            await fetch(`${window.Shopify?.routes?.root || '/'}discount/${encodeURIComponent(this.bundleDiscount.discountCode)}`, {
-              method: 'GET'
-            });
-          } catch (e) {
-            console.warn('System Builder: Could not apply discount code', e);
-          }
-        }
+        this.updateSummary();
+        this.showAddResult(added, rejected);
+        this.refreshAvailability();
+      } else {
+        this.clearAllSelections();
       }
 
-      // Fetch updated cart (with discount applied)
-      const cartResponse = await fetch(`${window.Shopify?.routes?.root || '/'}cart.js`, {
-        headers: { 'Accept': 'application/json' }
-      });
-      const cart = await cartResponse.json();
-
-      this.updateCartCount(cart.item_count);
-
-      // Dispatch cart:update event — triggers cart drawer to open and cart items to re-render
-      document.dispatchEvent(
-        new CustomEvent('cart:update', {
-          bubbles: true,
-          detail: {
-            resource: cart,
-            sourceId: this.id,
-            data: {
-              source: 'system-builder',
-              sections: responseData.sections || {}
-            }
-          }
-        })
-      );
-
-      this.clearAllSelections();
+      if (result.replaceFailed) this.showRuleMessage(this.t('build_replace_failed'));
 
       button.textContent = originalText;
       button.disabled = false;
@@ -714,9 +2606,9 @@ class SystemBuilder extends HTMLElement {
     } catch (error) {
       console.error('System Builder: Error adding to cart', error);
 
-      let errorText = 'Error - Try Again';
-      if (error.message === 'out_of_stock') {
-        errorText = 'Some items are out of stock';
+      let errorText = this.t('add_error');
+      if (error.message === 'nothing_added') {
+        errorText = this.t('nothing_added');
       } else if (error.message && error.message.length <= 30) {
         errorText = error.message;
       }
@@ -730,35 +2622,63 @@ class SystemBuilder extends HTMLElement {
   }
 
   /**
-   * Update cart count in header
+   * Get the name the build is grouped under in the cart, e.g. "Harness X build"
    */
-  updateCartCount(count) {
-    const selectors = [
-      '.cart-count', '.cart-count-bubble', '[data-cart-count]', '.cart__count',
-      '.header__cart-count', '#cart-icon-bubble', '.cart-icon__count',
-      '.js-cart-count', '[data-cart-item-count]', '.site-header__cart-count'
-    ];
+  getBundleName() {
+    const modelChip = this.activeHarnessModel
+      ? this.querySelector(`[data-chip][data-field="harness-model"][data-value="${CSS.escape(this.activeHarnessModel)}"]`)
+      : null;
+    const model = modelChip?.querySelector('.system-builder__chip-label')?.textContent.trim();
 
-    selectors.forEach(selector => {
-      document.querySelectorAll(selector).forEach(el => {
-        if (el.tagName !== 'SPAN' || !el.querySelector('span')) {
-          el.textContent = count;
-        }
-        if (count > 0) {
-          el.removeAttribute('hidden');
-          el.style.display = '';
-        }
-      });
-    });
+    return model ? this.t('cart_bundle_name', { model }) : this.t('cart_bundle_name_default');
+  }
+
+  /**
+   * Show which items were added to the cart and which were rejected (and why)
+   * @param {CartItemInput[]} added - The items that were added
+   * @param {RejectedCartItem[]} rejected - The items that were rejected
+   */
+  showAddResult(added, rejected) {
+    const result = this.querySelector('[data-add-result]');
+    if (!(result instanceof HTMLElement)) return;
+
+    /** @param {CartItemInput} item */
+    const titleFor = (item) => {
+      const product = this.selectedProducts[String(item.id)];
+      return this.escapeHtml(product ? this.getDisplayTitle(product) : String(item.id));
+    };
+
+    result.innerHTML = `
+      ${added.length > 0
+        ? `<p class="system-builder__add-result-heading">${this.t('added_to_cart')}</p>
+           <ul class="system-builder__add-result-list">
+             ${added.map(item => `<li>${item.quantity} × ${titleFor(item)}</li>`).join('')}
+           </ul>`
+        : ''}
+      <p class="system-builder__add-result-heading">${this.t('not_added')}</p>
+      <ul class="system-builder__add-result-list system-builder__add-result-list--rejected">
+        ${rejected.map(item => `<li>${item.quantity} × ${titleFor(item)} — ${this.escapeHtml(item.message)}</li>`).join('')}
+      </ul>
+    `;
+    result.hidden = false;
+  }
+
+  /**
+   * Hide the add to cart result
+   */
+  clearAddResult() {
+    const result = this.querySelector('[data-add-result]');
+    if (!(result instanceof HTMLElement)) return;
+    result.hidden = true;
+    result.innerHTML = '';
   }
 
   /**
-   * Format money value
+   * Format cents with the shop money format
    */
   formatMoney(cents) {
     if (typeof cents !== 'number') return '';
-    if (window.Shopify?.formatMoney) return window.Shopify.formatMoney(cents);
-    return `$${(cents / 100).toFixed(2)}`;
+    return formatCurrency(cents, this.moneyFormat, this.dataset.currency);
   }
 
   /**